@@ -0,0 +1,75 @@
+// api/alerts/evaluate.js
+// Vercel serverless function: check the alert rules against each station's
+// latest conditions and deliver what fires. Run by the cron in vercel.json.
+//
+//   GET /api/alerts/evaluate            evaluate and deliver
+//   GET /api/alerts/evaluate?dryRun=1   evaluate only (nothing sent or recorded)
+//
+// Requires `Authorization: Bearer $CRON_SECRET` (Vercel cron sends it) unless
+// running in development.
+
+import { CACHE_CONTROL, isDevelopment, secretMatches } from "../../lib/http.js";
+import { getStation } from "../../lib/stations.js";
+import { getConditions } from "../../lib/conditions.js";
+import { evaluateStation, loadRules } from "../../lib/alerts.js";
+import { deliver } from "../../lib/notify.js";
+import { log, withRequest } from "../../lib/log.js";
+
+function authorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return isDevelopment;
+  return secretMatches((req.headers || {}).authorization, `Bearer ${secret}`);
+}
+
+export default withRequest("/api/alerts/evaluate", async function handler(req, res) {
+  const startTime = Date.now();
+  res.setHeader("Cache-Control", CACHE_CONTROL.error);
+
+  if (!authorized(req)) {
+    log.warn("Unauthorized alert evaluation");
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const dryRun = ["1", "true"].includes(String(req.query.dryRun));
+
+  try {
+    const rules = await loadRules();
+    const byStation = new Map();
+    for (const rule of rules) {
+      if (!byStation.has(rule.station)) byStation.set(rule.station, []);
+      byStation.get(rule.station).push(rule);
+    }
+
+    // Stations one at a time: there are few, and NDBC prefers it
+    const stations = [];
+    for (const [stationId, stationRules] of byStation) {
+      try {
+        // Built now rather than from the cache: a cron run between refreshes
+        // would otherwise judge the previous payload
+        const { data, status } = await getConditions(getStation(stationId), Date.now(), { fresh: true });
+        // A stale fallback is an old observation, already evaluated
+        if (status === "stale") {
+          stations.push({ station: stationId, updatedIso: data.updatedIso, skipped: "NDBC unavailable", rules: [] });
+          continue;
+        }
+        stations.push(await evaluateStation(stationId, data, stationRules, { deliver, dryRun }));
+      } catch (e) {
+        log.error("Alert evaluation failed", { station: stationId, error: e });
+        stations.push({ station: stationId, error: e.message, rules: [] });
+      }
+    }
+
+    const fired = stations.flatMap((s) => s.rules.filter((r) => r.fired).map((r) => r.id));
+    log.info("Alert rules evaluated", { rules: rules.length, fired, dryRun, durationMs: Date.now() - startTime });
+
+    res.status(200).json({ evaluatedAt: new Date().toISOString(), dryRun, rules: rules.length, fired, stations });
+  } catch (err) {
+    log.error("Alert evaluation run failed", { durationMs: Date.now() - startTime, error: err });
+
+    const errorDetail = isDevelopment && err && err.message ? String(err.message) : undefined;
+    res.status(500).json({
+      error: "Alert evaluation failed",
+      ...(errorDetail && { detail: errorDetail }),
+    });
+  }
+});
@@ -0,0 +1,78 @@
+// api/alerts/subscribe.js
+// Vercel serverless function: Web Push subscriptions for condition alerts
+//
+//   GET    /api/alerts/subscribe   { publicKey } for pushManager.subscribe()
+//   POST   /api/alerts/subscribe   { subscription, rules: [...] }  (rules as in lib/alerts.js,
+//                                  without `notify`: alerts go to this browser)
+//   DELETE /api/alerts/subscribe   { endpoint }
+//
+// Open to any browser, so lib/alerts.js caps the stored subscriptions
+// (MAX_SUBSCRIPTIONS) and the rules each may carry (MAX_RULES_PER_SUBSCRIPTION).
+
+import { CACHE_CONTROL, applyCors, isDevelopment } from "../../lib/http.js";
+import { removeSubscription, saveSubscription } from "../../lib/alerts.js";
+import { vapidKeys } from "../../lib/webpush.js";
+import { log, withRequest } from "../../lib/log.js";
+
+// Vercel parses JSON bodies; a plain Node server hands over a string
+function jsonBody(req) {
+  if (typeof req.body === "string") return JSON.parse(req.body || "{}");
+  return req.body || {};
+}
+
+export default withRequest("/api/alerts/subscribe", async function handler(req, res) {
+  if (applyCors(req, res, "GET,POST,DELETE,OPTIONS")) return;
+  res.setHeader("Cache-Control", CACHE_CONTROL.error);
+
+  const keys = vapidKeys();
+  if (!keys) {
+    return res.status(501).json({ error: "Web Push alerts are not configured on this server" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      return res.status(200).json({ publicKey: keys.publicKey });
+    }
+
+    let body;
+    try {
+      body = jsonBody(req);
+    } catch (e) {
+      return res.status(400).json({ error: "Body must be JSON" });
+    }
+
+    if (req.method === "POST") {
+      let id;
+      try {
+        id = await saveSubscription(body.subscription, body.rules);
+      } catch (e) {
+        if (e.code === "INVALID_SUBSCRIPTION") return res.status(400).json({ error: e.message });
+        if (e.code === "SUBSCRIPTIONS_FULL") {
+          log.warn("Alert subscriptions full", { method: req.method });
+          return res.status(503).json({ error: e.message });
+        }
+        // Backend failures: logged and answered with a generic 500 below
+        throw e;
+      }
+      log.info("Alert subscription saved", { subscription: id, rules: body.rules.length });
+      return res.status(201).json({ id, rules: body.rules.length });
+    }
+
+    if (req.method === "DELETE") {
+      if (!body.endpoint) return res.status(400).json({ error: "endpoint is required" });
+      const removed = await removeSubscription(body.endpoint);
+      return res.status(removed ? 200 : 404).json({ removed });
+    }
+
+    res.setHeader("Allow", "GET, POST, DELETE, OPTIONS");
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  } catch (err) {
+    log.error("Alert subscription request failed", { method: req.method, error: err });
+
+    const errorDetail = isDevelopment && err && err.message ? String(err.message) : undefined;
+    res.status(500).json({
+      error: "Could not update the alert subscription",
+      ...(errorDetail && { detail: errorDetail }),
+    });
+  }
+});
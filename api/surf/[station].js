@@ -0,0 +1,142 @@
+// api/surf/[station].js
+// Vercel serverless function: proxy NOAA NDBC buoy text data into clean JSON
+//
+//   GET /api/surf/scripps, /api/surf/oceanside, ... (see lib/stations.js)
+//   GET /api/surf/scripps.svg, .png: the card as an image (./[station]/image.js)
+//
+// - format: json (default), text (a one-line report), csv (one row), or svg /
+//   png (the card); without it, the Accept header picks text/plain or text/csv
+// - fields: comma-separated fields to return, dotted for nested ones
+//   (e.g. waveHeightFt,rating.stars); trims JSON and picks the CSV columns
+//
+// The response schema is versioned (schemaVersion, see API_SCHEMA.md).
+// Parse details (`meta`) are only included with ?debug (see wantsDebug in lib/http.js).
+
+import {
+  CACHE_CONTROL,
+  applyCors,
+  isDevelopment,
+  negotiateFormat,
+  resolveStation,
+  sendConditional,
+  unknownStation,
+  wantsDebug,
+  weakEtag,
+} from "../../lib/http.js";
+import { displayValues, resolveUnits } from "../../lib/units.js";
+import { getConditions } from "../../lib/conditions.js";
+import {
+  CSV_COLUMNS,
+  MEDIA_TYPES,
+  RESPONSE_FIELDS,
+  SCHEMA_VERSION,
+  parseFields,
+  selectFields,
+  textReport,
+  toCsv,
+} from "../../lib/formats.js";
+import { log, withRequest } from "../../lib/log.js";
+import { cardImage } from "./[station]/image.js";
+
+export default withRequest("/api/surf/[station]", async function handler(req, res) {
+  const startTime = Date.now();
+
+  // /api/surf/scripps.svg lands here with station "scripps.svg"
+  const image = /^(.+)\.(svg|png)$/i.exec((req.query && req.query.station) || "");
+  if (image) {
+    req.query = { ...req.query, station: image[1], format: image[2].toLowerCase() };
+    return cardImage(req, res);
+  }
+  if (/^(svg|png)$/i.test((req.query && req.query.format) || "")) return cardImage(req, res);
+
+  // CORS handling
+  if (applyCors(req, res)) return;
+  // The format can come from the Accept header
+  res.setHeader("Vary", "Origin, Accept");
+
+  const station = resolveStation(req);
+  if (!station) return unknownStation(res, req.query.station);
+  const STATION_ID = station.ndbcId;
+
+  const format = negotiateFormat(req, MEDIA_TYPES);
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of ${[...Object.keys(MEDIA_TYPES), "svg", "png"].join(", ")}` });
+  }
+  let fields = null;
+  if (req.query.fields) {
+    const { fields: requested, unknown } = parseFields(req.query.fields);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown field(s): ${unknown.join(", ")}`,
+        validFields: RESPONSE_FIELDS,
+      });
+    }
+    fields = requested;
+  }
+
+  // Unit preference: ?units=imperial|metric|mixed, with optional
+  // ?height=ft|m, ?speed=kts|kmh|ms|mph, ?temp=F|C overrides.
+  // Base fields stay in ft/kts/°F; `display` carries the converted values.
+  const units = resolveUnits({
+    system: req.query.units,
+    height: req.query.height,
+    speed: req.query.speed,
+    temp: req.query.temp,
+  });
+  const withUnits = (data) => ({ ...data, units, display: displayValues(data, units) });
+  const debug = wantsDebug(req);
+
+  try {
+    // Served from the cache when fresh; a stale entry is served at once while
+    // NDBC is queried in the background, and is the fallback if NDBC is down
+    const { data, cachedAt, status, error } = await getConditions(station, startTime);
+
+    if (status === "stale") {
+      log.warn("Serving stale data", { stationId: STATION_ID, cachedAt, error: error.message });
+    } else {
+      log.debug("Conditions cache", { stationId: STATION_ID, status });
+    }
+
+    // Validators follow the build time (cachedAt), so widgets polling between
+    // rebuilds get a 304 instead of the whole payload. Not the observation
+    // time alone: the tide state, nowcast and sessions move on with the clock.
+    const stale = status === "stale";
+    const notModified = sendConditional(req, res, {
+      etag: weakEtag(station.id, data.updatedIso, data.spectralUpdatedIso, cachedAt, units.height, units.speed, units.temp,
+        stale, debug, format, fields && fields.join(",")),
+      lastModified: cachedAt,
+      cacheControl: debug ? CACHE_CONTROL.debug : stale ? CACHE_CONTROL.stale : CACHE_CONTROL.fresh,
+    });
+    if (notModified) return;
+
+    const { meta, ...body } = data;
+    const response = withUnits({
+      schemaVersion: SCHEMA_VERSION,
+      ...body,
+      stale,
+      cachedAt,
+      ...(debug && { meta: { ...meta, cacheStatus: status } }),
+    });
+
+    if (format === "json") {
+      return res.status(200).json(fields ? selectFields(response, fields) : response);
+    }
+    res.setHeader("Content-Type", MEDIA_TYPES[format]);
+    if (format === "csv") {
+      res.setHeader("Content-Disposition", `inline; filename="${station.id}.csv"`);
+      return res.status(200).send(toCsv([response], fields || CSV_COLUMNS));
+    }
+    res.status(200).send(textReport(response, units));
+  } catch (err) {
+    log.error("Conditions request failed", { stationId: STATION_ID, durationMs: Date.now() - startTime, error: err });
+
+    // Don't expose detailed errors in production
+    const errorDetail = isDevelopment && err && err.message ? String(err.message) : undefined;
+
+    res.setHeader("Cache-Control", CACHE_CONTROL.error);
+    res.status(500).json({
+      error: `Failed to fetch ${station.name} buoy data`,
+      ...(errorDetail && { detail: errorDetail }),
+    });
+  }
+});
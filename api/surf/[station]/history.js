@@ -0,0 +1,190 @@
+// api/surf/[station]/history.js
+// Vercel serverless function: a station's recent series as normalized observations,
+// merged from its sources (lib/sources.js) the same way as /api/surf/[station]
+//
+//   GET /api/surf/scripps/history?hours=48&interval=60&fields=waveHeightFt,windKts
+//
+// - hours:    how far back to go (default 24, max 1080 = the 45 days realtime2 keeps)
+// - interval: downsample to one observation per N-minute bucket (default: every row)
+// - fields:   comma-separated observation fields to return (updatedIso is always included)
+// - format:   json (default) or csv (one row per observation, `fields` as the
+//             columns); without it, an Accept of text/csv picks csv
+
+import {
+  CACHE_CONTROL,
+  applyCors,
+  isDevelopment,
+  negotiateFormat,
+  resolveStation,
+  sendConditional,
+  unknownStation,
+  weakEtag,
+} from "../../../lib/http.js";
+import { stationDisplayName } from "../../../lib/stations.js";
+import { OBSERVATION_FIELDS } from "../../../lib/ndbc.js";
+import { loadSources, mergeSources, sourcePolicy } from "../../../lib/sources.js";
+import { swr } from "../../../lib/cache.js";
+import { MEDIA_TYPES, SCHEMA_VERSION, toCsv } from "../../../lib/formats.js";
+import { log, withRequest } from "../../../lib/log.js";
+
+// Configuration
+const CACHE_POLICY = {
+  ttlMs: 5 * 60 * 1000, // 5 minutes
+  swrMs: 60 * 60 * 1000,
+  maxAgeMs: 24 * 60 * 60 * 1000,
+};
+const DEFAULT_HOURS = 24;
+const MAX_HOURS = 45 * 24;
+const FORMATS = { json: MEDIA_TYPES.json, csv: MEDIA_TYPES.csv };
+
+// Parse a positive integer query param, clamped to [min, max].
+function intParam(value, fallback, min, max) {
+  if (value == null || value === "") return fallback;
+  const n = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+// One row per interval bucket holding the newest reading of each field in it.
+// Field by field, because merged sources report at different minutes: a
+// bucket's newest row may carry only the waves, its wind a few minutes older.
+// Input and output are oldest-first; `updatedIso` is the bucket's newest reading.
+export function downsample(observations, fields, intervalMin) {
+  if (!intervalMin) return observations;
+  const bucketMs = intervalMin * 60 * 1000;
+  const byBucket = new Map();
+  for (const obs of observations) {
+    const key = Math.floor(Date.parse(obs.updatedIso) / bucketMs);
+    if (!byBucket.has(key)) byBucket.set(key, Object.fromEntries(fields.map((f) => [f, null])));
+    const row = byBucket.get(key);
+    for (const f of fields) {
+      if (obs[f] != null) row[f] = obs[f];
+    }
+  }
+  return [...byBucket.values()];
+}
+
+// The merged series (every reading, oldest first), each field group from the
+// source the station's policy picks. Throws when no source answers.
+async function fetchSeries(station) {
+  const results = await loadSources(station);
+  const { groups, series, fieldSources, sources } = mergeSources(results, sourcePolicy(station));
+  const waveSource = groups.waves || Object.values(groups).find(Boolean);
+
+  return {
+    sourceUrl: sources[waveSource.source].url,
+    fieldSources,
+    sources,
+    observations: [...series].reverse(),
+  };
+}
+
+export default withRequest("/api/surf/[station]/history", async function handler(req, res) {
+  const startTime = Date.now();
+
+  // CORS handling
+  if (applyCors(req, res)) return;
+  // The format can come from the Accept header
+  res.setHeader("Vary", "Origin, Accept");
+
+  const station = resolveStation(req);
+  if (!station) return unknownStation(res, req.query.station);
+
+  const query = req.query || {};
+  const hours = intParam(query.hours, DEFAULT_HOURS, 1, MAX_HOURS);
+  const intervalMin = intParam(query.interval, 0, 0, 24 * 60);
+  const format = negotiateFormat(req, FORMATS);
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(FORMATS).join(", ")}` });
+  }
+
+  let fields = OBSERVATION_FIELDS;
+  if (query.fields) {
+    const requested = String(query.fields).split(",").map((f) => f.trim()).filter(Boolean);
+    const unknown = requested.filter((f) => !OBSERVATION_FIELDS.includes(f));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown field(s): ${unknown.join(", ")}`,
+        validFields: OBSERVATION_FIELDS,
+      });
+    }
+    fields = ["updatedIso", ...requested.filter((f) => f !== "updatedIso")];
+  }
+
+  try {
+    // Cached with stale-while-revalidate; stale data beats a 500 when every source is down
+    const { data, cachedAt, status, error } = await swr(
+      `history:${station.id}`,
+      () => fetchSeries(station),
+      CACHE_POLICY
+    );
+    const { sourceUrl, fieldSources, sources, observations } = data;
+    if (status === "stale") {
+      log.warn("Serving stale history", { stationId: station.ndbcId, cachedAt, error: error.message });
+    } else {
+      log.debug("History cache", { stationId: station.ndbcId, status });
+    }
+
+    // Window is measured back from the latest observation, not from "now",
+    // so a station that stopped reporting still returns its last N hours.
+    const latestMs = observations.length > 0
+      ? Date.parse(observations[observations.length - 1].updatedIso)
+      : Date.now();
+    const sinceMs = latestMs - hours * 3600000;
+
+    // The sources report at different times, so a merged row can hold none
+    // of the requested fields; those rows are left out
+    const series = downsample(
+      observations.filter((obs) =>
+        Date.parse(obs.updatedIso) > sinceMs && fields.some((f) => f !== "updatedIso" && obs[f] != null)
+      ),
+      fields,
+      intervalMin
+    ).map((obs) => Object.fromEntries(fields.map((f) => [f, obs[f] ?? null])));
+
+    const latestIso = observations.length > 0 ? observations[observations.length - 1].updatedIso : null;
+    const stale = status === "stale";
+    const notModified = sendConditional(req, res, {
+      etag: weakEtag(station.id, latestIso, hours, intervalMin, fields.join(","), stale, format),
+      lastModified: latestIso,
+      cacheControl: stale ? CACHE_CONTROL.stale : CACHE_CONTROL.fresh,
+    });
+    if (notModified) return;
+
+    log.info("History served", { stationId: station.ndbcId, points: series.length, format, durationMs: Date.now() - startTime });
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", MEDIA_TYPES.csv);
+      res.setHeader("Content-Disposition", `inline; filename="${station.id}-history.csv"`);
+      return res.status(200).send(toCsv(series, fields));
+    }
+
+    res.status(200).json({
+      schemaVersion: SCHEMA_VERSION,
+      stationId: station.ndbcId,
+      station: station.id,
+      name: stationDisplayName(station),
+      sourceUrl,
+      fieldSources,
+      sources,
+      hours,
+      intervalMin: intervalMin || null,
+      fields,
+      count: series.length,
+      stale,
+      cachedAt,
+      observations: series,
+    });
+  } catch (err) {
+    log.error("History request failed", { stationId: station.ndbcId, durationMs: Date.now() - startTime, error: err });
+
+    // Don't expose detailed errors in production
+    const errorDetail = isDevelopment && err && err.message ? String(err.message) : undefined;
+
+    res.setHeader("Cache-Control", CACHE_CONTROL.error);
+    res.status(500).json({
+      error: `Failed to fetch ${station.name} buoy history`,
+      ...(errorDetail && { detail: errorDetail }),
+    });
+  }
+});
@@ -0,0 +1,118 @@
+// api/surf/[station]/image.js
+// Vercel serverless function: the conditions card as an image, for Slack,
+// email and READMEs that can't run the widget
+//
+//   GET /api/surf/scripps.svg, /api/surf/scripps.png (handed over by ../[station].js)
+//   GET /api/surf/scripps/image?format=svg
+//
+// - format: svg (default) or png; png needs the optional @resvg/resvg-js
+//   package and answers 501 without it, and falls back to the SVG if
+//   rendering fails
+// - theme: light (default) or dark
+// - size: small (400 × 210), medium (600 × 315, default) or large (1200 × 630)
+// - units, height, speed, temp: as for /api/surf/[station]
+
+import {
+  CACHE_CONTROL,
+  applyCors,
+  resolveStation,
+  sendConditional,
+  unknownStation,
+  weakEtag,
+} from "../../../lib/http.js";
+import { resolveUnits } from "../../../lib/units.js";
+import { getConditions } from "../../../lib/conditions.js";
+import {
+  CARD_SIZES,
+  CARD_THEMES,
+  pngSupported,
+  renderCardSvg,
+  renderErrorSvg,
+  svgToPng,
+} from "../../../lib/cardImage.js";
+import { log, withRequest } from "../../../lib/log.js";
+
+const FORMATS = {
+  svg: "image/svg+xml; charset=utf-8",
+  png: "image/png",
+};
+
+// Send the card in the requested format. When PNG rendering fails the SVG
+// goes out instead, uncached, so the embed still shows the card.
+async function sendImage(res, svg, format, size) {
+  if (format === "png") {
+    try {
+      const png = await svgToPng(svg, CARD_SIZES[size].width);
+      res.setHeader("Content-Type", FORMATS.png);
+      return res.send(Buffer.from(png));
+    } catch (err) {
+      log.error("PNG rendering failed, sending SVG", { error: err });
+      res.setHeader("Cache-Control", CACHE_CONTROL.error);
+    }
+  }
+  res.setHeader("Content-Type", FORMATS.svg);
+  res.send(svg);
+}
+
+// The handler without its request context, for ../[station].js to call
+export async function cardImage(req, res) {
+  const startTime = Date.now();
+
+  // CORS handling
+  if (applyCors(req, res)) return;
+
+  const station = resolveStation(req);
+  if (!station) return unknownStation(res, req.query.station);
+
+  const format = String(req.query.format || "svg").toLowerCase();
+  const theme = String(req.query.theme || "light").toLowerCase();
+  const size = String(req.query.size || "medium").toLowerCase();
+  const invalid = [
+    !FORMATS[format] && `format must be one of ${Object.keys(FORMATS).join(", ")}`,
+    !CARD_THEMES[theme] && `theme must be one of ${Object.keys(CARD_THEMES).join(", ")}`,
+    !CARD_SIZES[size] && `size must be one of ${Object.keys(CARD_SIZES).join(", ")}`,
+  ].filter(Boolean);
+  if (invalid.length) {
+    return res.status(400).json({ error: invalid.join("; ") });
+  }
+  if (format === "png" && !(await pngSupported())) {
+    res.setHeader("Cache-Control", CACHE_CONTROL.error);
+    return res.status(501).json({
+      error: "PNG rendering isn't available on this deployment (it needs @resvg/resvg-js); use .svg",
+    });
+  }
+
+  const units = resolveUnits({
+    system: req.query.units,
+    height: req.query.height,
+    speed: req.query.speed,
+    temp: req.query.temp,
+  });
+
+  let conditions;
+  try {
+    conditions = await getConditions(station, startTime);
+  } catch (err) {
+    log.error("Card image request failed", { station: station.id, durationMs: Date.now() - startTime, error: err });
+    // Still an image, so an embed shows why instead of a broken picture
+    res.setHeader("Cache-Control", CACHE_CONTROL.error);
+    res.status(500);
+    return sendImage(res, renderErrorSvg(`${station.name} buoy data unavailable`, { theme, size }), format, size);
+  }
+
+  const { data, cachedAt, status } = conditions;
+  const stale = status === "stale";
+  const notModified = sendConditional(req, res, {
+    // The card's tide state moves on with the clock, so the build time counts too
+    etag: weakEtag("image", station.id, data.updatedIso, cachedAt, format, theme, size, units.height, units.speed, units.temp, stale),
+    lastModified: cachedAt,
+    cacheControl: stale ? CACHE_CONTROL.stale : CACHE_CONTROL.image,
+  });
+  if (notModified) return;
+
+  const svg = renderCardSvg({ ...data, stale, cachedAt }, { theme, size, units });
+  res.status(200);
+  await sendImage(res, svg, format, size);
+}
+
+export default withRequest("/api/surf/[station]/image", cardImage);
@@ -0,0 +1,56 @@
+// api/surf/[station]/tides.js
+// Vercel serverless function: tide predictions for a station's tide gauge
+//
+//   GET /api/surf/scripps/tides?hours=48
+//
+// - hours: how far ahead the hourly curve and high/low list run (default 24, max 48)
+
+import {
+  CACHE_CONTROL,
+  applyCors,
+  isDevelopment,
+  resolveStation,
+  unknownStation,
+} from "../../../lib/http.js";
+import { stationDisplayName } from "../../../lib/stations.js";
+import { getTides } from "../../../lib/tides.js";
+import { log, withRequest } from "../../../lib/log.js";
+
+export default withRequest("/api/surf/[station]/tides", async function handler(req, res) {
+  const startTime = Date.now();
+
+  // CORS handling
+  if (applyCors(req, res)) return;
+
+  const station = resolveStation(req);
+  if (!station) return unknownStation(res, req.query.station);
+
+  const hours = Math.max(1, Math.min(48, Number.parseInt(req.query.hours, 10) || 24));
+
+  try {
+    const tide = await getTides(station, { curveHours: hours });
+    if (!tide) {
+      return res.status(404).json({ error: `No tide predictions for ${station.name}` });
+    }
+
+    // Predictions, but "now" (height, rising/falling) moves: short browser cache
+    res.setHeader("Cache-Control", CACHE_CONTROL.fresh);
+    res.status(200).json({
+      station: station.id,
+      name: stationDisplayName(station),
+      hours,
+      ...tide,
+    });
+  } catch (err) {
+    log.error("Tides request failed", { station: station.id, durationMs: Date.now() - startTime, error: err });
+
+    // Don't expose detailed errors in production
+    const errorDetail = isDevelopment && err && err.message ? String(err.message) : undefined;
+
+    res.setHeader("Cache-Control", CACHE_CONTROL.error);
+    res.status(500).json({
+      error: `Failed to fetch ${station.name} tide predictions`,
+      ...(errorDetail && { detail: errorDetail }),
+    });
+  }
+});
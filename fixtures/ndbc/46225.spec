@@ -0,0 +1,5 @@
+#YY  MM DD hh mm WVHT  SwH  SwP  WWH  WWP SwD WWD  STEEPNESS  APD MWD
+#yr  mo dy hr mn    m    m  sec    m  sec  -  degT     -      sec degT
+2024 01 15 18 00  1.2  1.1 14.3  0.4  5.0 WSW   W    AVERAGE  8.5 265
+2024 01 15 17 30  1.1  1.0 14.3  0.4  4.8   W  NW      SWELL  8.3 270
+2024 01 15 17 00   MM   MM   MM   MM   MM  MM  MM        N/A   MM  MM
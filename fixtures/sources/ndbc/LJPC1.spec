@@ -0,0 +1,4 @@
+#YY  MM DD hh mm WVHT  SwH  SwP  WWH  WWP SwD WWD  STEEPNESS  APD MWD
+#yr  mo dy hr mn    m    m  sec    m  sec  -  degT     -      sec degT
+2024 01 15 14 00  1.18  1.1 14.3  0.4  5.0 WSW   W    AVERAGE  8.4 265
+2024 01 15 13 30  1.19  1.1 14.3  0.4  5.0 WSW   W    AVERAGE  8.4 265
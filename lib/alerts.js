@@ -0,0 +1,362 @@
+// lib/alerts.js
+// Condition alerts: user rules over the /api/surf/[station] response, checked
+// by the scheduled evaluator (api/alerts/evaluate.js) on each new observation.
+//
+// A rule:
+//   {
+//     "id": "scripps-firing",
+//     "station": "scripps",
+//     "name": "Scripps is firing",
+//     "when": { "all": ["waveHeightFt >= 3", "dominantPeriodSec >= 13",
+//                       "windKts <= 6", "swellDirDeg between 200 290"] },
+//     "cooldownMinutes": 360,
+//     "notify": [{ "type": "webhook", "url": "https://example.com/hook" }]
+//   }
+// `when` is one condition, or { all: [...] } / { any: [...] }, nested as needed.
+// A condition is "<field> <op> <value>" or { field, op, value }:
+//   field  any response field, dotted for nested ones (rating.stars,
+//          surfHeight.maxFt, tide.stage), or a shorthand from FIELD_ALIASES
+//   op     >= <= > < == != between in
+//   value  a number; "min max" for between (wraps through north for
+//          directions when min > max); a comma list for in (windClass in
+//          offshore,cross-offshore)
+// A missing reading, or one QC flagged bad, never matches.
+//
+// Rules come from the ALERT_RULES JSON file (default alerts/rules.json) and
+// from browsers that subscribed to Web Push (api/alerts/subscribe.js). Cooldown
+// state and subscriptions live in the cache backend (lib/cache.js), so use the
+// file or kv backend for alerts to survive cold starts.
+
+import { readFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { createHash } from "node:crypto";
+import { getCacheBackend } from "./cache.js";
+import { qcFlag } from "./qc.js";
+import { getStation } from "./stations.js";
+import { log } from "./log.js";
+
+export const DEFAULT_COOLDOWN_MINUTES = 6 * 60;
+
+// Alerts state is kept for a long time; the backends need some TTL
+const STATE_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+const SUBSCRIPTIONS_KEY = "alerts:subscriptions";
+// /api/alerts/subscribe is open to any browser, so the stored set is bounded
+export const MAX_SUBSCRIPTIONS = 1000;
+export const MAX_RULES_PER_SUBSCRIPTION = 10;
+const MAX_SUBSCRIPTION_BYTES = 8 * 1024;
+
+// Shorthands for the fields people alert on most
+export const FIELD_ALIASES = {
+  height: "waveHeightFt",
+  period: "dominantPeriodSec",
+  wind: "windKts",
+  gusts: "windGustKts",
+  windDir: "windDirDeg",
+  swellDir: "swellDirDeg",
+  water: "waterTempF",
+  rating: "rating.stars",
+  surf: "surfHeight.maxFt",
+};
+
+const OPS = {
+  ">=": (v, x) => v >= x,
+  "<=": (v, x) => v <= x,
+  ">": (v, x) => v > x,
+  "<": (v, x) => v < x,
+  "==": (v, x) => v === x,
+  "!=": (v, x) => v !== x,
+  between: (v, [min, max]) => (min <= max ? v >= min && v <= max : v >= min || v <= max),
+  in: (v, list) => list.includes(v),
+};
+
+const CONDITION_RE = /^\s*([\w.]+)\s*(>=|<=|==|!=|>|<|between|in)\s*(.+?)\s*$/;
+
+// A string or number value: numbers where they parse, strings otherwise
+const scalar = (v) => (typeof v === "string" && v.trim() !== "" && !Number.isNaN(Number(v)) ? Number(v) : v);
+
+// Normalize one condition to { field, op, value, text }. Throws on nonsense.
+export function parseCondition(condition) {
+  let { field, op, value } = typeof condition === "object" && condition ? condition : {};
+  if (typeof condition === "string") {
+    const match = CONDITION_RE.exec(condition);
+    if (!match) throw new Error(`Can't parse condition "${condition}"`);
+    [, field, op, value] = match;
+  }
+  if (!field || !(op in OPS)) throw new Error(`Invalid condition: ${JSON.stringify(condition)}`);
+  field = FIELD_ALIASES[field] || field;
+
+  if (op === "between") {
+    // "1 3", "1,3", "1..3", "1–3", "1-3" or "1 - 3"; a "-" right before a
+    // digit after a space is a sign ("-5 -1")
+    const range = Array.isArray(value) ? value : String(value).split(/\s*(?:\.\.|–|,)\s*|(?<=\d)-|\s+-\s+|\s+/);
+    value = range.filter((v) => v !== "").map(Number);
+    if (value.length !== 2 || value.some((v) => !Number.isFinite(v))) {
+      throw new Error(`"between" needs two numbers, got ${JSON.stringify(condition)}`);
+    }
+  } else if (op === "in") {
+    value = (Array.isArray(value) ? value : String(value).split(",")).map((v) => scalar(String(v).trim()));
+  } else {
+    value = scalar(value);
+    if (!["==", "!="].includes(op) && !Number.isFinite(value)) {
+      throw new Error(`"${op}" needs a number, got ${JSON.stringify(condition)}`);
+    }
+  }
+
+  const shown = op === "between" ? `${value[0]}–${value[1]}` : op === "in" ? value.join(",") : value;
+  return { field, op, value, text: `${field} ${op} ${shown}` };
+}
+
+// Normalize a `when` tree, parsing every condition.
+function parseWhen(when) {
+  if (when && typeof when === "object" && (Array.isArray(when.all) || Array.isArray(when.any))) {
+    const kind = when.all ? "all" : "any";
+    if (when[kind].length === 0) throw new Error(`Empty "${kind}" in rule`);
+    return { [kind]: when[kind].map(parseWhen) };
+  }
+  return parseCondition(when);
+}
+
+// Validate and normalize a rule. Throws with a readable message.
+export function parseRule(rule, fallbackId) {
+  if (!rule || typeof rule !== "object") throw new Error("Rule must be an object");
+  const station = getStation(rule.station);
+  if (!station) throw new Error(`Unknown station in rule: ${rule.station}`);
+  if (rule.when == null) throw new Error(`Rule ${rule.id || fallbackId} has no "when"`);
+
+  const cooldownMinutes = rule.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+  if (!(cooldownMinutes >= 0)) throw new Error(`Invalid cooldownMinutes: ${rule.cooldownMinutes}`);
+
+  return {
+    id: String(rule.id || fallbackId),
+    station: station.id,
+    name: rule.name || `${station.name} alert`,
+    when: parseWhen(rule.when),
+    cooldownMinutes,
+    notify: Array.isArray(rule.notify) ? rule.notify : [],
+  };
+}
+
+// Value at a dotted path, e.g. "rating.stars"
+function valueAt(data, path) {
+  return path.split(".").reduce((v, key) => (v == null ? undefined : v[key]), data);
+}
+
+// Check a `when` tree against a response. Returns { matched, results } where
+// results lists every condition with the value it saw.
+export function evaluateWhen(when, data) {
+  if (when.all || when.any) {
+    const parts = (when.all || when.any).map((w) => evaluateWhen(w, data));
+    return {
+      matched: when.all ? parts.every((p) => p.matched) : parts.some((p) => p.matched),
+      results: parts.flatMap((p) => p.results),
+    };
+  }
+  const value = valueAt(data, when.field);
+  const usable = value != null && qcFlag(data, when.field) !== "bad";
+  const matched = usable && OPS[when.op](value, when.value);
+  return { matched, results: [{ condition: when.text, value: value ?? null, matched }] };
+}
+
+// Rules from ALERT_RULES (a path, or inline JSON) or alerts/rules.json.
+// A missing file means no rules; a broken one is logged and skipped.
+export async function loadFileRules() {
+  const setting = process.env.ALERT_RULES;
+  let list;
+  try {
+    if (setting && setting.trim().startsWith("[")) {
+      list = JSON.parse(setting);
+    } else {
+      const file = setting ? pathToFileURL(setting) : new URL("../alerts/rules.json", import.meta.url);
+      list = JSON.parse(await readFile(file, "utf8"));
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      log.warn("Could not read alert rules", { error: e.message });
+    }
+    return [];
+  }
+
+  const rules = [];
+  (Array.isArray(list) ? list : []).forEach((rule, i) => {
+    try {
+      rules.push(parseRule(rule, `rule-${i + 1}`));
+    } catch (e) {
+      log.warn("Skipping alert rule", { rule: i + 1, error: e.message });
+    }
+  });
+  return rules;
+}
+
+// ---------- Stored state (cache backend) ----------
+
+async function readState(key) {
+  const entry = await getCacheBackend().get(key).catch((e) => {
+    log.warn("Alert state read failed", { key, error: e.message });
+    return null;
+  });
+  return entry ? entry.data : null;
+}
+
+function writeState(key, data) {
+  return getCacheBackend().set(key, { data, timestamp: Date.now() }, STATE_TTL_MS);
+}
+
+// Stable id for a push subscription (its endpoint is unique per browser)
+export const subscriptionId = (subscription) =>
+  createHash("sha256").update(subscription.endpoint).digest("base64url").slice(0, 16);
+
+// Browser subscriptions: { [id]: { subscription, rules, createdAt } }. One
+// entry holds them all (the backends can't list keys), read and rewritten
+// whole: when two saves race, the last write wins and the other browser has
+// to subscribe again. The caps above keep the entry small.
+export async function loadSubscriptions() {
+  return (await readState(SUBSCRIPTIONS_KEY)) || {};
+}
+
+const invalidSubscription = (message) => Object.assign(new Error(message), { code: "INVALID_SUBSCRIPTION" });
+
+// Store a push subscription with its rules (validated first). Replaces any
+// earlier rules for the same browser. Throws with code "INVALID_SUBSCRIPTION"
+// for a bad subscription or rule, "SUBSCRIPTIONS_FULL" when MAX_SUBSCRIPTIONS
+// other browsers are stored; other errors come from the cache backend.
+export async function saveSubscription(subscription, rules) {
+  if (!subscription || typeof subscription.endpoint !== "string" || !subscription.keys) {
+    throw invalidSubscription("Invalid push subscription");
+  }
+  if (!Array.isArray(rules) || rules.length === 0) throw invalidSubscription("At least one rule is needed");
+  if (rules.length > MAX_RULES_PER_SUBSCRIPTION) {
+    throw invalidSubscription(`At most ${MAX_RULES_PER_SUBSCRIPTION} rules per subscription`);
+  }
+  const id = subscriptionId(subscription);
+  try {
+    rules.forEach((rule, i) => parseRule(rule, i + 1));
+  } catch (e) {
+    throw invalidSubscription(e.message);
+  }
+  const entry = { subscription, rules, createdAt: new Date().toISOString() };
+  if (Buffer.byteLength(JSON.stringify(entry)) > MAX_SUBSCRIPTION_BYTES) {
+    throw invalidSubscription(`Subscription and rules must fit in ${MAX_SUBSCRIPTION_BYTES / 1024} KB`);
+  }
+
+  const all = await loadSubscriptions();
+  if (!all[id] && Object.keys(all).length >= MAX_SUBSCRIPTIONS) {
+    throw Object.assign(new Error("No room for more alert subscriptions"), { code: "SUBSCRIPTIONS_FULL" });
+  }
+  all[id] = entry;
+  await writeState(SUBSCRIPTIONS_KEY, all);
+  return id;
+}
+
+export async function removeSubscription(endpoint) {
+  const all = await loadSubscriptions();
+  const id = subscriptionId({ endpoint });
+  if (!all[id]) return false;
+  delete all[id];
+  await writeState(SUBSCRIPTIONS_KEY, all);
+  return true;
+}
+
+// Rules from browser subscriptions, each delivering to its own browser
+async function loadSubscriptionRules() {
+  const rules = [];
+  for (const [id, { subscription, rules: list }] of Object.entries(await loadSubscriptions())) {
+    list.forEach((rule, i) => {
+      try {
+        const parsed = parseRule(rule, i + 1);
+        rules.push({ ...parsed, id: `${id}:${parsed.id}`, notify: [{ type: "webpush", subscription }] });
+      } catch (e) {
+        log.warn("Skipping stored alert rule", { subscription: id, error: e.message });
+      }
+    });
+  }
+  return rules;
+}
+
+// Every active rule
+export async function loadRules() {
+  const [fromFile, fromSubscriptions] = await Promise.all([loadFileRules(), loadSubscriptionRules()]);
+  return [...fromFile, ...fromSubscriptions];
+}
+
+// ---------- Evaluation ----------
+
+// One-line summary of the conditions, for notifications
+export function summarize(data) {
+  const parts = [];
+  if (data.waveHeightFt != null) {
+    const period = data.dominantPeriodSec ?? data.averagePeriodSec;
+    parts.push(`${data.waveHeightFt.toFixed(1)} ft${period != null ? ` @ ${Math.round(period)} s` : ""}`);
+  }
+  if (data.windKts != null) parts.push(`wind ${Math.round(data.windKts)} kts${data.windClass ? ` ${data.windClass}` : ""}`);
+  if (data.rating && data.rating.stars) parts.push(`${data.rating.stars}★ ${data.rating.text}`);
+  return parts.join(", ");
+}
+
+// Link back to the widget page, when we know where it lives
+function pageUrl(station) {
+  const base = process.env.SITE_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : "");
+  return base ? `${base.replace(/\/$/, "")}/?station=${encodeURIComponent(station)}` : null;
+}
+
+// The payload delivered to every channel
+function alertPayload(rule, data, results, now) {
+  return {
+    type: "surf.alert",
+    rule: { id: rule.id, name: rule.name },
+    station: { id: data.station, name: data.name },
+    observedAt: data.updatedIso,
+    firedAt: now.toISOString(),
+    title: rule.name,
+    body: summarize(data),
+    url: pageUrl(data.station),
+    conditions: results,
+  };
+}
+
+// Check `rules` for one station's latest conditions and deliver what fires.
+//   deliver   async (targets, alert) => results; see lib/notify.js
+//   dryRun    evaluate only: no delivery, no state written, seen observations re-checked
+// Each observation is evaluated once; a rule that matched stays quiet for its
+// cooldown. Returns { station, updatedIso, skipped?, rules: [...] }.
+export async function evaluateStation(stationId, data, rules, { deliver, now = new Date(), dryRun = false }) {
+  const seenKey = `alerts:seen:${stationId}`;
+  const seen = await readState(seenKey);
+  if (!dryRun && seen && data.updatedIso && Date.parse(data.updatedIso) <= Date.parse(seen)) {
+    return { station: stationId, updatedIso: data.updatedIso, skipped: "no new observation", rules: [] };
+  }
+
+  const report = [];
+  for (const rule of rules) {
+    const { matched, results } = evaluateWhen(rule.when, data);
+    const entry = { id: rule.id, name: rule.name, matched, fired: false, conditions: results };
+    report.push(entry);
+    if (!matched) continue;
+
+    const stateKey = `alerts:rule:${rule.id}`;
+    const state = (await readState(stateKey)) || {};
+    const sinceMs = state.lastFiredAt ? now - Date.parse(state.lastFiredAt) : Infinity;
+    if (sinceMs < rule.cooldownMinutes * 60000) {
+      entry.reason = `cooldown until ${new Date(Date.parse(state.lastFiredAt) + rule.cooldownMinutes * 60000).toISOString()}`;
+      continue;
+    }
+    if (dryRun) {
+      entry.reason = "dry run";
+      continue;
+    }
+
+    const alert = alertPayload(rule, data, results, now);
+    entry.deliveries = await deliver(rule.notify, alert);
+    entry.fired = entry.deliveries.some((d) => d.ok);
+    // Only a delivered alert starts the cooldown, so a failed one retries next run
+    if (entry.fired) {
+      await writeState(stateKey, { lastFiredAt: alert.firedAt, observedAt: data.updatedIso });
+    }
+    // Push services report dropped subscriptions; stop alerting them
+    for (const d of entry.deliveries) {
+      if (d.gone && d.endpoint) await removeSubscription(d.endpoint);
+    }
+  }
+
+  if (!dryRun && data.updatedIso) await writeState(seenKey, data.updatedIso);
+  return { station: stationId, updatedIso: data.updatedIso, rules: report };
+}
@@ -0,0 +1,184 @@
+// lib/cache.js
+// Response cache for the API routes, with stale-while-revalidate.
+//
+// The backend is selected with CACHE_BACKEND:
+//   memory  per-instance Map (default); lost on every cold start
+//   file    JSON files under CACHE_DIR (default <tmpdir>/scripps-surf-cache);
+//           survives warm restarts of an instance, or shared on a real server
+//   kv      Redis over the Upstash / Vercel KV REST API (KV_REST_API_URL +
+//           KV_REST_API_TOKEN, or UPSTASH_REDIS_REST_URL + _TOKEN); shared by
+//           every instance
+// A backend stores { data, timestamp } entries and exposes
+//   get(key) -> entry | null    set(key, entry, ttlMs)
+// Backend errors are logged and treated as a miss, so a broken cache never
+// takes the API down with it.
+
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { log } from "./log.js";
+
+const KV_PREFIX = "scripps-surf:";
+const KV_TIMEOUT_MS = 2000;
+
+export const backends = {
+  memory() {
+    const store = new Map();
+    return {
+      name: "memory",
+      async get(key) {
+        const hit = store.get(key);
+        if (!hit) return null;
+        if (hit.expiresAt <= Date.now()) {
+          store.delete(key);
+          return null;
+        }
+        return hit.entry;
+      },
+      async set(key, entry, ttlMs) {
+        store.set(key, { entry, expiresAt: Date.now() + ttlMs });
+      },
+    };
+  },
+
+  file() {
+    const dir = process.env.CACHE_DIR || join(tmpdir(), "scripps-surf-cache");
+    const fileFor = (key) => join(dir, `${encodeURIComponent(key)}.json`);
+    return {
+      name: "file",
+      async get(key) {
+        try {
+          const { entry, expiresAt } = JSON.parse(await readFile(fileFor(key), "utf8"));
+          return expiresAt > Date.now() ? entry : null;
+        } catch (e) {
+          if (e.code === "ENOENT") return null;
+          throw e;
+        }
+      },
+      async set(key, entry, ttlMs) {
+        await mkdir(dir, { recursive: true });
+        // Write then rename, so a concurrent reader never sees half a file
+        const file = fileFor(key);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await writeFile(tmp, JSON.stringify({ entry, expiresAt: Date.now() + ttlMs }));
+        await rename(tmp, file);
+      },
+    };
+  },
+
+  kv() {
+    const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+    const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+    if (!url || !token) {
+      throw new Error("CACHE_BACKEND=kv needs KV_REST_API_URL and KV_REST_API_TOKEN");
+    }
+
+    // One Redis command as a JSON array, e.g. ["GET", key]
+    async function command(args) {
+      const resp = await fetch(url, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify(args),
+        signal: AbortSignal.timeout(KV_TIMEOUT_MS),
+      });
+      const json = await resp.json().catch(() => ({}));
+      if (!resp.ok || json.error) {
+        throw new Error(`KV ${args[0]} failed: ${json.error || `${resp.status} ${resp.statusText}`}`);
+      }
+      return json.result;
+    }
+
+    return {
+      name: "kv",
+      async get(key) {
+        const value = await command(["GET", KV_PREFIX + key]);
+        return value ? JSON.parse(value) : null;
+      },
+      async set(key, entry, ttlMs) {
+        await command(["SET", KV_PREFIX + key, JSON.stringify(entry), "PX", String(Math.round(ttlMs))]);
+      },
+    };
+  },
+};
+
+let backend = null;
+
+// The configured backend. A misconfigured one falls back to memory (with a
+// warning) rather than failing every request.
+export function getCacheBackend() {
+  if (!backend) {
+    const name = (process.env.CACHE_BACKEND || "memory").toLowerCase();
+    try {
+      const create = backends[name];
+      if (!create) throw new Error(`Unknown CACHE_BACKEND: ${name}`);
+      backend = create();
+    } catch (e) {
+      log.warn("Cache backend unavailable; using the memory cache", { backend: name, error: e.message });
+      backend = backends.memory();
+    }
+  }
+  return backend;
+}
+
+// Upstream loads in flight per key, so concurrent requests share one fetch
+const inFlight = new Map();
+
+function refresh(cache, key, load, maxAgeMs) {
+  if (!inFlight.has(key)) {
+    const pending = (async () => {
+      const entry = { data: await load(), timestamp: Date.now() };
+      await cache.set(key, entry, maxAgeMs).catch((e) => {
+        log.warn("Cache write failed", { key, backend: cache.name, error: e.message });
+      });
+      return entry;
+    })().finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+  }
+  return inFlight.get(key);
+}
+
+// Load `key` through the cache.
+//   load      async () => data; the upstream fetch
+//   ttlMs     entries younger than this are served as-is
+//   swrMs     entries younger than this are served at once while `load`
+//             refreshes them in the background
+//   maxAgeMs  how long entries are kept to fall back on when `load` fails
+//   bypass    load now, whatever the entry's age (the entry is still the
+//             fallback when `load` fails)
+// Resolves { data, cachedAt, status, error } where status is
+//   "fresh" | "revalidating" | "miss", or "stale" when `load` failed and
+//   `data` is the last good payload (`error` says why).
+// Rejects only when `load` fails and nothing is cached.
+//
+// On serverless hosts the background refresh may be frozen along with the
+// instance once the response is sent; the next request simply tries again.
+export async function swr(key, load, { ttlMs, swrMs, maxAgeMs, bypass = false }) {
+  const cache = getCacheBackend();
+  const entry = await cache.get(key).catch((e) => {
+    log.warn("Cache read failed", { key, backend: cache.name, error: e.message });
+    return null;
+  });
+  const age = entry ? Date.now() - entry.timestamp : Infinity;
+  const result = (e, status, error) => ({
+    data: e.data,
+    cachedAt: new Date(e.timestamp).toISOString(),
+    status,
+    ...(error && { error }),
+  });
+
+  if (!bypass && age < ttlMs) return result(entry, "fresh");
+
+  if (!bypass && age < swrMs) {
+    refresh(cache, key, load, maxAgeMs).catch((e) => {
+      log.warn("Background refresh failed", { key, error: e.message });
+    });
+    return result(entry, "revalidating");
+  }
+
+  try {
+    return result(await refresh(cache, key, load, maxAgeMs), "miss");
+  } catch (err) {
+    if (entry) return result(entry, "stale", err);
+    throw err;
+  }
+}
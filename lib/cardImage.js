@@ -0,0 +1,194 @@
+// lib/cardImage.js
+// The conditions card as a self-contained image, for places that can't run
+// the widget: Slack, email, README badges. renderCardSvg() draws an
+// /api/surf/[station] response as SVG (text, shapes and inline styles only,
+// no fonts or scripts to fetch); svgToPng() rasterizes it when the optional
+// @resvg/resvg-js package is installed.
+//
+// The card is laid out on a 600 × 315 canvas and scaled to the size preset.
+
+import { formatRange, formatValue, resolveUnits } from "./units.js";
+import { degToCompass } from "./wind.js";
+import { usableValue } from "./qc.js";
+import { log } from "./log.js";
+
+export const CARD_THEMES = {
+  light: { bg: "#ffffff", panel: "#f9fafb", fg: "#0f172a", muted: "#6b7280", border: "#e5e7eb", accent: "#0ea5e9", warn: "#b45309", star: "#f59e0b" },
+  dark: { bg: "#0f172a", panel: "#1e293b", fg: "#e2e8f0", muted: "#94a3b8", border: "#334155", accent: "#0ea5e9", warn: "#fbbf24", star: "#fbbf24" },
+};
+
+// Output sizes; 1200 × 630 is the usual link-preview size
+export const CARD_SIZES = {
+  small: { width: 400, height: 210 },
+  medium: { width: 600, height: 315 },
+  large: { width: 1200, height: 630 },
+};
+
+const VIEW_WIDTH = 600;
+const VIEW_HEIGHT = 315;
+const FONT = "system-ui, -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+// Every station in lib/stations.js is on the California coast
+const TIME_ZONE = "America/Los_Angeles";
+
+const SOURCE_NAMES = { ndbc: "NOAA NDBC", cdip: "CDIP" };
+
+const escapeXml = (s) => String(s).replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[c]);
+
+function text(x, y, content, { size = 14, weight = 400, fill, anchor = "start" } = {}) {
+  return `<text x="${x}" y="${y}" font-size="${size}" font-weight="${weight}" fill="${fill}"` +
+    `${anchor !== "start" ? ` text-anchor="${anchor}"` : ""}>${escapeXml(content)}</text>`;
+}
+
+// Five-pointed star centred on (cx, cy)
+function star(cx, cy, r, fill, stroke) {
+  const points = [];
+  for (let i = 0; i < 10; i++) {
+    const radius = i % 2 === 0 ? r : r * 0.45;
+    const angle = (Math.PI / 5) * i - Math.PI / 2;
+    points.push(`${(cx + radius * Math.cos(angle)).toFixed(1)},${(cy + radius * Math.sin(angle)).toFixed(1)}`);
+  }
+  return `<polygon points="${points.join(" ")}" fill="${fill}" stroke="${stroke}" stroke-width="1"/>`;
+}
+
+function formatUpdated(iso) {
+  if (!iso) return "Time unavailable";
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: TIME_ZONE,
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(new Date(iso));
+}
+
+// "NOAA NDBC LJPC1 · CDIP 201"
+function sourceLine(data) {
+  const used = Object.entries(data.sources || {})
+    .filter(([, s]) => s.status === "ok" || s.status === "stale")
+    .map(([name, s]) => `${SOURCE_NAMES[name] || name.toUpperCase()} ${s.id}`);
+  return used.length > 0 ? used.join(" · ") : `NOAA NDBC ${data.stationId}`;
+}
+
+function frame(theme, size, body, title) {
+  const { width, height } = CARD_SIZES[size];
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+    `viewBox="0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}" font-family="${FONT}" role="img" aria-label="${escapeXml(title)}">` +
+    `<title>${escapeXml(title)}</title>` +
+    `<rect x="0.5" y="0.5" width="${VIEW_WIDTH - 1}" height="${VIEW_HEIGHT - 1}" rx="14" fill="${theme.bg}" stroke="${theme.border}"/>` +
+    body +
+    `</svg>`;
+}
+
+// The card for an /api/surf/[station] response.
+//   theme  light | dark      size  small | medium | large
+//   units  a resolveUnits() preference (default imperial)
+// Unknown theme / size names fall back to light / medium.
+export function renderCardSvg(data, { theme = "light", size = "medium", units = resolveUnits() } = {}) {
+  const t = CARD_THEMES[theme] || CARD_THEMES.light;
+  const sizeName = CARD_SIZES[size] ? size : "medium";
+  const height = (ft) => formatValue("height", ft, units);
+
+  // Readings QC flagged bad are left out, as in the text report
+  const waveFt = usableValue(data, "waveHeightFt");
+  const period = usableValue(data, "dominantPeriodSec") ?? usableValue(data, "averagePeriodSec");
+  const swellDir = usableValue(data, "swellDirDeg");
+  const windKts = usableValue(data, "windKts");
+  const gustKts = usableValue(data, "windGustKts");
+  const windDir = usableValue(data, "windDirDeg");
+
+  // Height band: the break estimate, else the buoy reading ±20% (as the widget does)
+  const surf = data.surfHeight;
+  let band = "--";
+  let bandLabel = "SIGNIFICANT SURF (NOAA BUOY)";
+  if (surf) {
+    band = formatRange("height", surf.minFt, surf.maxFt, units);
+    bandLabel = "EST. SURF AT THE BREAK";
+  } else if (waveFt != null) {
+    band = formatRange("height", Math.max(0, waveFt * 0.8), waveFt * 1.2, units);
+  }
+
+  const rating = data.rating || { stars: 0, text: "No rating" };
+  const tide = data.tide;
+  const columns = [
+    ["SWELL", waveFt != null && period != null ? `${height(waveFt)} @ ${period.toFixed(0)} s` : "--",
+      swellDir != null ? degToCompass(swellDir) : ""],
+    // Mean to gust, e.g. "9–13 kts W"
+    ["WIND", windKts == null ? "--" : `${gustKts != null
+      ? formatRange("speed", windKts, Math.max(windKts, gustKts), units, 0)
+      : formatValue("speed", windKts, units, 0)} ${degToCompass(windDir)}`, data.windClass || ""],
+    ["WATER", formatValue("temp", usableValue(data, "waterTempF"), units), data.comfort ? data.comfort.text : ""],
+    ...(tide ? [["TIDE", height(tide.heightFt), [tide.state, tide.stage && `${tide.stage} tide`].filter(Boolean).join(" · ")]] : []),
+  ];
+
+  const parts = [];
+  parts.push(text(24, 44, data.name || data.station || "Surf conditions", { size: 22, weight: 700, fill: t.fg }));
+  parts.push(text(24, 66, `Buoy ${data.stationId || ""} · Updated ${formatUpdated(data.updatedIso)}`, { size: 13, fill: t.muted }));
+  if (data.stale) parts.push(text(576, 106, "Last known conditions", { size: 12, weight: 600, fill: t.warn, anchor: "end" }));
+
+  parts.push(text(24, 106, bandLabel, { size: 12, weight: 600, fill: t.muted }));
+  parts.push(text(24, 158, band, { size: 50, weight: 700, fill: t.fg }));
+
+  for (let i = 0; i < 5; i++) {
+    parts.push(i < rating.stars ? star(36 + i * 26, 186, 11, t.star, t.star) : star(36 + i * 26, 186, 11, "none", t.muted));
+  }
+  parts.push(text(166, 191, rating.text, { size: 15, weight: 600, fill: t.fg }));
+
+  // Panel of readings across the bottom
+  const colWidth = (VIEW_WIDTH - 48) / columns.length;
+  parts.push(`<rect x="16" y="214" width="${VIEW_WIDTH - 32}" height="72" rx="10" fill="${t.panel}" stroke="${t.border}"/>`);
+  columns.forEach(([label, value, sub], i) => {
+    const x = 24 + i * colWidth + 6;
+    parts.push(text(x, 236, label, { size: 11, weight: 600, fill: t.muted }));
+    parts.push(text(x, 258, value, { size: 17, weight: 600, fill: t.fg }));
+    if (sub) parts.push(text(x, 276, sub, { size: 11, fill: t.muted }));
+  });
+
+  parts.push(text(24, 304, `Live data from ${sourceLine(data)}`, { size: 10, fill: t.muted }));
+  parts.push(text(576, 304, `${rating.stars}/5`, { size: 10, fill: t.accent, anchor: "end" }));
+
+  const title = `${data.name || data.station}: ${band}, ${rating.text}`;
+  return frame(t, sizeName, parts.join(""), title);
+}
+
+// A card saying the conditions couldn't be loaded, so embeds show something
+export function renderErrorSvg(message, { theme = "light", size = "medium" } = {}) {
+  const t = CARD_THEMES[theme] || CARD_THEMES.light;
+  const body = text(24, 44, "Surf conditions", { size: 22, weight: 700, fill: t.fg }) +
+    text(24, 158, message, { size: 20, weight: 600, fill: t.warn }) +
+    text(24, 186, "Try again in a few minutes.", { size: 14, fill: t.muted });
+  return frame(t, CARD_SIZES[size] ? size : "medium", body, message);
+}
+
+let Resvg;
+
+// The Resvg class from @resvg/resvg-js, or null when it isn't installed (it's
+// an optional dependency with native binaries). Looked up once.
+async function loadResvg() {
+  if (Resvg === undefined) {
+    Resvg = await import("@resvg/resvg-js")
+      .then((m) => m.Resvg || (m.default && m.default.Resvg) || null)
+      .catch((e) => {
+        log.warn("PNG rendering unavailable", { error: e.message });
+        return null;
+      });
+  }
+  return Resvg;
+}
+
+// True when svgToPng() can render
+export async function pngSupported() {
+  return (await loadResvg()) != null;
+}
+
+// PNG bytes for an SVG at `width` pixels. Throws without @resvg/resvg-js
+// (check pngSupported() first).
+export async function svgToPng(svg, width) {
+  const Renderer = await loadResvg();
+  if (!Renderer) throw new Error("PNG rendering needs @resvg/resvg-js");
+  const image = new Renderer(svg, {
+    fitTo: { mode: "width", value: width },
+    font: { loadSystemFonts: true, defaultFontFamily: "Arial" },
+  });
+  return image.render().asPng();
+}
@@ -0,0 +1,132 @@
+// lib/cdip.js
+// CDIP (Coastal Data Information Program, Scripps) wave buoys, read from the
+// THREDDS OPeNDAP server: the .dds says how many records the realtime file
+// holds, then .ascii fetches the newest few. CDIP buoys measure waves and sea
+// surface temperature, not wind.
+//
+//   https://thredds.cdip.ucsd.edu/thredds/dodsC/cdip/realtime/100p1_rt.nc.dds
+//   https://thredds.cdip.ucsd.edu/thredds/dodsC/cdip/realtime/100p1_rt.nc.ascii?waveTime[..],waveHs[..],...
+
+import { cToF, fetchWithTimeout, mToFt } from "./ndbc.js";
+
+// 30-minute wave records: 48 hours covers the nowcast's trend window twice over
+export const CDIP_RECORDS = 96;
+
+const WAVE_VARIABLES = ["waveTime", "waveHs", "waveTp", "waveTa", "waveDp", "waveFlagPrimary"];
+const SST_VARIABLES = ["sstTime", "sstSeaSurfaceTemperature", "sstFlagPrimary"];
+const GOOD_FLAG = 1; // CDIP primary QC flag: 1 = good
+
+export function cdipBaseUrl(cdipId) {
+  return `https://thredds.cdip.ucsd.edu/thredds/dodsC/cdip/realtime/${cdipId}p1_rt.nc`;
+}
+
+// Dimension sizes from a DDS: "Float32 waveHs[waveTime = 12345];" -> { waveTime: 12345 }
+export function parseDds(text) {
+  const sizes = {};
+  for (const [, dim, n] of String(text).matchAll(/\[\s*(\w+)\s*=\s*(\d+)\s*\]/g)) {
+    sizes[dim] = Number(n);
+  }
+  return sizes;
+}
+
+// The .ascii query for the newest `count` records of each dimension
+export function asciiQuery(sizes, count = CDIP_RECORDS) {
+  const range = (dim) => {
+    const n = sizes[dim];
+    return n ? `[${Math.max(0, n - count)}:1:${n - 1}]` : null;
+  };
+  const parts = [];
+  const waves = range("waveTime");
+  if (waves) parts.push(...WAVE_VARIABLES.map((v) => v + waves));
+  const sst = range("sstTime");
+  if (sst) parts.push(...SST_VARIABLES.map((v) => v + sst));
+  return parts.join(",");
+}
+
+// OPeNDAP ASCII body -> { variable: [numbers] }. After the dashed line, each
+// variable is a "name[n]" line followed by comma-separated values.
+export function parseAscii(text) {
+  const lines = String(text).split(/\r?\n/);
+  const start = lines.findIndex((l) => /^-{10,}/.test(l.trim()));
+  const vars = {};
+  let current = null;
+  for (const raw of lines.slice(start + 1)) {
+    const line = raw.trim();
+    if (!line) continue;
+    const header = /^([\w.]+)\[\d+\]$/.exec(line);
+    if (header) {
+      current = header[1].split(".").pop(); // Grids come back as "waveHs.waveHs"
+      vars[current] = [];
+      continue;
+    }
+    if (current) {
+      for (const token of line.split(",")) {
+        const n = Number(token.trim());
+        vars[current].push(Number.isFinite(n) ? n : null);
+      }
+    }
+  }
+  return vars;
+}
+
+// CDIP fill values are large negatives (-999.99, -99999)
+const value = (v) => (v == null || v <= -999 ? null : v);
+
+// Normalized observations (same fields as lib/ndbc.js toObservation), newest
+// first. Values the buoy didn't flag as good are null; sea temperature joins
+// the wave record nearest in time (within 30 minutes).
+export function toObservations(vars) {
+  const sst = (vars.sstTime || []).map((t, i) => ({
+    ms: t * 1000,
+    tempC: vars.sstFlagPrimary && vars.sstFlagPrimary[i] !== GOOD_FLAG ? null : value(vars.sstSeaSurfaceTemperature[i]),
+  })).filter((s) => s.tempC != null);
+
+  const nearestSst = (ms) => {
+    let best = null;
+    for (const s of sst) {
+      if (Math.abs(s.ms - ms) <= 30 * 60000 && (!best || Math.abs(s.ms - ms) < Math.abs(best.ms - ms))) best = s;
+    }
+    return best ? best.tempC : null;
+  };
+
+  const observations = (vars.waveTime || []).map((t, i) => {
+    const good = !vars.waveFlagPrimary || vars.waveFlagPrimary[i] === GOOD_FLAG;
+    const heightM = good ? value(vars.waveHs[i]) : null;
+    const waterTempC = nearestSst(t * 1000);
+    return {
+      updatedIso: new Date(t * 1000).toISOString(),
+      windDirDeg: null,
+      windKts: null,
+      windGustKts: null,
+      waveHeightM: heightM,
+      waveHeightFt: mToFt(heightM),
+      dominantPeriodSec: good ? value(vars.waveTp && vars.waveTp[i]) : null,
+      averagePeriodSec: good ? value(vars.waveTa && vars.waveTa[i]) : null,
+      swellDirDeg: good ? value(vars.waveDp && vars.waveDp[i]) : null,
+      barometricPressureHpa: null,
+      airTempC: null,
+      airTempF: null,
+      waterTempC,
+      waterTempF: cToF(waterTempC),
+    };
+  });
+  return observations.reverse();
+}
+
+async function fetchText(url) {
+  const resp = await fetchWithTimeout(url);
+  if (!resp || !resp.ok) {
+    throw new Error(`${url} -> ${resp ? resp.status + " " + resp.statusText : "no response"}`);
+  }
+  return resp.text();
+}
+
+// The newest CDIP_RECORDS observations for a CDIP station ("100", "201", ...).
+// Resolves { observations, usedUrl }; throws when either request fails.
+export async function fetchCdip(cdipId) {
+  const base = cdipBaseUrl(cdipId);
+  const query = asciiQuery(parseDds(await fetchText(`${base}.dds`)));
+  if (!query) throw new Error(`${base}.dds -> no wave records`);
+  const usedUrl = `${base}.ascii?${query}`;
+  return { observations: toObservations(parseAscii(await fetchText(usedUrl))), usedUrl };
+}
@@ -0,0 +1,239 @@
+// lib/climatology.js
+// How a reading compares with the station's history: per-month percentiles of
+// wave height, dominant period and water temperature, built from NDBC
+// historical stdmet archives kept on disk.
+//
+// Archives live in CLIMATE_DIR (default climate/) as <id>h<year>.txt or
+// .txt.gz, the names NDBC publishes them under, e.g. ljpc1h2023.txt.gz from
+//   https://www.ndbc.noaa.gov/data/historical/stdmet/
+// Each file is read with lib/ndbcParser.js; readings are averaged per local
+// day, and every month gets the distribution of its daily means. The summary
+// is cached (lib/cache.js) under a key that changes when the files do, so
+// adding a year rebuilds it.
+
+import { createHash } from "node:crypto";
+import { readdir, readFile, stat } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { gunzipSync } from "node:zlib";
+import { parseNdbc } from "./ndbcParser.js";
+import { cToF, mToFt } from "./ndbc.js";
+import { localDate } from "./sun.js";
+import { swr } from "./cache.js";
+import { log } from "./log.js";
+
+// Fields summarized, by archive record key
+export const CLIMATE_FIELDS = ["waveHeightM", "dominantPeriodSec", "waterTempC"];
+
+// A day counts when it has this many readings of the field (archives are
+// hourly or every 10 minutes, so a few hours of gaps are fine)
+const MIN_READINGS_PER_DAY = 6;
+// A month's percentiles need this many days behind them
+export const MIN_DAYS_PER_MONTH = 20;
+// Percentile table resolution: p0, p5, ... p100
+const STEP = 5;
+
+const SUMMARY_TTL_MS = 30 * 24 * 3600000;
+
+export const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July",
+  "August", "September", "October", "November", "December"];
+
+function climateDir() {
+  return process.env.CLIMATE_DIR
+    ? pathToFileURL(process.env.CLIMATE_DIR.replace(/\/?$/, "/"))
+    : new URL("../climate/", import.meta.url);
+}
+
+// Archive files for an NDBC id, oldest year first: [{ name, url, size, mtimeMs }]
+export async function archiveFiles(ndbcId, dir = climateDir()) {
+  const pattern = new RegExp(`^${ndbcId}h(\\d{4})\\.txt(\\.gz)?$`, "i");
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  return Promise.all(names.filter((n) => pattern.test(n)).sort().map(async (name) => {
+    const url = new URL(name, dir);
+    const { size, mtimeMs } = await stat(url);
+    return { name, url, size, mtimeMs };
+  }));
+}
+
+// Value at percentile `p` (0–100) of sorted numbers, linearly interpolated
+export function percentileOf(sorted, p) {
+  if (sorted.length === 0) return null;
+  const pos = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Where `value` falls in a percentile table (p0, p5, ... p100), 0–100
+export function percentileRank(table, value) {
+  if (value == null || !table || table.length < 2) return null;
+  if (value <= table[0]) return 0;
+  const last = table.length - 1;
+  if (value >= table[last]) return 100;
+  for (let i = 1; i <= last; i++) {
+    if (value <= table[i]) {
+      const span = table[i] - table[i - 1];
+      const frac = span > 0 ? (value - table[i - 1]) / span : 1;
+      return (i - 1 + frac) * STEP;
+    }
+  }
+  return 100;
+}
+
+const round = (v, digits) => (v == null ? null : Number(v.toFixed(digits)));
+
+// Running per-day sums, so archives can be added one file at a time:
+//   days  { "2023-10-01": { waveHeightM: [sum, n], ... } }
+export function createDailySums() {
+  return { days: new Map(), from: null, to: null };
+}
+
+// Add parsed archive records (any order) to daily sums
+export function addRecords(sums, records, lon) {
+  for (const r of records) {
+    if (!r.time) continue;
+    const ms = r.time.getTime();
+    if (sums.from == null || ms < sums.from) sums.from = ms;
+    if (sums.to == null || ms > sums.to) sums.to = ms;
+    const day = localDate(ms, lon);
+    if (!sums.days.has(day)) sums.days.set(day, {});
+    const acc = sums.days.get(day);
+    for (const f of CLIMATE_FIELDS) {
+      if (r[f] == null) continue;
+      const a = acc[f] || (acc[f] = [0, 0]);
+      a[0] += r[f];
+      a[1] += 1;
+    }
+  }
+  return sums;
+}
+
+// Per-month summary from daily sums. Returns
+//   { months: { 1..12: { <field>: { days, mean, p: [p0 … p100] } | null } }, days, from, to }
+export function summarize({ days, from, to }) {
+  // Daily means grouped by month
+  const byMonth = Array.from({ length: 12 }, () => Object.fromEntries(CLIMATE_FIELDS.map((f) => [f, []])));
+  for (const [day, acc] of days) {
+    const month = Number(day.slice(5, 7)) - 1;
+    for (const [f, [sum, n]] of Object.entries(acc)) {
+      if (n >= MIN_READINGS_PER_DAY) byMonth[month][f].push(sum / n);
+    }
+  }
+
+  const months = {};
+  byMonth.forEach((fields, i) => {
+    months[i + 1] = Object.fromEntries(CLIMATE_FIELDS.map((f) => {
+      const values = fields[f].sort((a, b) => a - b);
+      if (values.length < MIN_DAYS_PER_MONTH) return [f, null];
+      const p = [];
+      for (let q = 0; q <= 100; q += STEP) p.push(round(percentileOf(values, q), 2));
+      const mean = values.reduce((s, v) => s + v, 0) / values.length;
+      return [f, { days: values.length, mean: round(mean, 2), p }];
+    }));
+  });
+
+  return {
+    months,
+    days: days.size,
+    from: from == null ? null : new Date(from).toISOString(),
+    to: to == null ? null : new Date(to).toISOString(),
+  };
+}
+
+// Read and summarize every archive for a station
+async function buildSummary(station, files) {
+  const startTime = Date.now();
+  const sums = createDailySums();
+  let records = 0;
+  for (const file of files) {
+    const raw = await readFile(file.url);
+    const text = /\.gz$/i.test(file.name) ? gunzipSync(raw).toString("utf8") : raw.toString("utf8");
+    const parsed = parseNdbc(text, { source: file.name, format: "stdmet" });
+    if (parsed.warnings.length) log.warn("Climate archive units not converted", { file: file.name, warnings: parsed.warnings });
+    addRecords(sums, parsed.records, station.lon);
+    records += parsed.records.length;
+  }
+  const summary = {
+    stationId: station.ndbcId,
+    files: files.map((f) => f.name),
+    ...summarize(sums),
+    builtIso: new Date().toISOString(),
+  };
+  log.info("Climatology built", {
+    stationId: station.ndbcId,
+    files: files.length,
+    records,
+    days: summary.days,
+    durationMs: Date.now() - startTime,
+  });
+  return summary;
+}
+
+// The station's monthly summary, or null when it has no archives. Cached
+// until the archive files change.
+export async function getClimatology(station) {
+  const files = await archiveFiles(station.ndbcId);
+  if (files.length === 0) return null;
+  const signature = createHash("sha1")
+    .update(files.map((f) => `${f.name}:${f.size}:${Math.round(f.mtimeMs)}`).join("|"))
+    .digest("hex")
+    .slice(0, 12);
+  const { data } = await swr(`climate:${station.ndbcId}:${signature}`, () => buildSummary(station, files), {
+    ttlMs: SUMMARY_TTL_MS,
+    swrMs: SUMMARY_TTL_MS,
+    maxAgeMs: SUMMARY_TTL_MS,
+  });
+  return data;
+}
+
+// How an observation compares with its month:
+//   { month, monthName, years: { from, to },
+//     waveHeight:  { percentile, medianFt, days },
+//     period:      { percentile, medianSec, days },
+//     waterTemp:   { percentile, normalF, normalC, diffF, days } }
+// Fields without a reading or without enough history are null; the whole
+// thing is null without a summary.
+export function climateContext(summary, observation, lon) {
+  if (!summary || !observation || !observation.updatedIso) return null;
+  const month = Number(localDate(observation.updatedIso, lon).slice(5, 7));
+  const stats = summary.months[month] || {};
+  const median = (s) => s.p[Math.round(50 / STEP)];
+  const rank = (s, v) => (s && v != null ? Math.round(percentileRank(s.p, v)) : null);
+
+  const waves = stats.waveHeightM;
+  const period = stats.dominantPeriodSec;
+  const temp = stats.waterTempC;
+  const periodNow = observation.dominantPeriodSec;
+  const tempC = observation.waterTempC;
+
+  return {
+    month,
+    monthName: MONTH_NAMES[month - 1],
+    years: {
+      from: summary.from ? Number(summary.from.slice(0, 4)) : null,
+      to: summary.to ? Number(summary.to.slice(0, 4)) : null,
+    },
+    waveHeight: waves && observation.waveHeightM != null ? {
+      percentile: rank(waves, observation.waveHeightM),
+      medianFt: round(mToFt(median(waves)), 1),
+      days: waves.days,
+    } : null,
+    period: period && periodNow != null ? {
+      percentile: rank(period, periodNow),
+      medianSec: round(median(period), 1),
+      days: period.days,
+    } : null,
+    waterTemp: temp && tempC != null ? {
+      percentile: rank(temp, tempC),
+      normalC: round(median(temp), 1),
+      normalF: round(cToF(median(temp)), 1),
+      diffF: round((tempC - median(temp)) * 9 / 5, 1),
+      days: temp.days,
+    } : null,
+  };
+}
@@ -0,0 +1,70 @@
+// lib/comfort.js
+// How cold it is in and out of the water, shared by the API and the widget:
+// the wind chill on land and a wetsuit recommendation from water temperature,
+// adjusted for a cold or windy session.
+
+import { usableValue } from "./qc.js";
+
+// Wetsuit by water temperature (°F), warmest first. Typical Southern
+// California shop guidance; `minF` is the coldest water each suits.
+export const WETSUIT_CHART = [
+  { minF: 75, suit: "boardshorts or swimsuit", thickness: null, extras: [] },
+  { minF: 70, suit: "spring suit or wetsuit top", thickness: "2 mm", extras: [] },
+  { minF: 64, suit: "full suit", thickness: "3/2 mm", extras: [] },
+  { minF: 58, suit: "full suit", thickness: "4/3 mm", extras: [] },
+  { minF: 52, suit: "full suit", thickness: "4/3 mm", extras: ["booties"] },
+  { minF: 47, suit: "full suit", thickness: "5/4 mm", extras: ["booties", "hood"] },
+  { minF: 42, suit: "full suit", thickness: "5/4 mm", extras: ["booties", "gloves", "hood"] },
+  { minF: -Infinity, suit: "full suit", thickness: "6/5 mm", extras: ["booties", "gloves", "hood"] },
+];
+
+// Out of the water it feels colder than this (°F), or the wind is at least
+// this strong (kts): go one step warmer (once, whichever applies)
+export const CHILLY_AIR_F = 55;
+export const WINDY_KTS = 15;
+
+// NWS wind chill (°F), defined for air at or below 50°F and wind over 3 mph.
+// Returns the air temperature outside that range, or null without it.
+export function feelsLikeF(airF, windKts) {
+  if (airF == null) return null;
+  const mph = windKts == null ? 0 : windKts * 1.15078;
+  if (airF > 50 || mph <= 3) return airF;
+  const v = Math.pow(mph, 0.16);
+  return Math.min(airF, 35.74 + 0.6215 * airF - 35.75 * v + 0.4275 * airF * v);
+}
+
+// Recommendation for the conditions. Returns
+//   { suit, thickness, extras, text, reasons, waterF, feelsLikeF }
+// e.g. text "4/3 mm full suit + booties", or null without a water temperature.
+export function recommendWetsuit({ waterF, airF = null, windKts = null }) {
+  if (waterF == null) return null;
+  const base = WETSUIT_CHART.findIndex((row) => waterF >= row.minF);
+  const feels = feelsLikeF(airF, windKts);
+
+  const reasons = [`water ${Math.round(waterF)}°F`];
+  if (feels != null && feels < CHILLY_AIR_F) reasons.push(`feels like ${Math.round(feels)}°F out of the water`);
+  if (windKts != null && windKts >= WINDY_KTS) reasons.push(`wind ${Math.round(windKts)} kts`);
+  const step = reasons.length > 1 ? 1 : 0;
+
+  const row = WETSUIT_CHART[Math.min(base + step, WETSUIT_CHART.length - 1)];
+  const suit = row.thickness ? `${row.thickness} ${row.suit}` : row.suit;
+  return {
+    suit: row.suit,
+    thickness: row.thickness,
+    extras: row.extras,
+    text: [suit, ...row.extras].join(" + "),
+    reasons,
+    waterF,
+    feelsLikeF: feels,
+  };
+}
+
+// Recommendation for an /api/surf/[station] response, leaving out readings
+// QC flagged bad
+export function comfortFromResponse(data) {
+  return recommendWetsuit({
+    waterF: usableValue(data, "waterTempF"),
+    airF: usableValue(data, "airTempF"),
+    windKts: usableValue(data, "windKts"),
+  });
+}
@@ -0,0 +1,206 @@
+// lib/conditions.js
+// Latest conditions for a station: observations merged from its sources (NDBC
+// met + spectral files, CDIP), tides, QC, the surf height estimate, the
+// rating, a wetsuit recommendation and how it all compares with the
+// station's history, as served by /api/surf/[station].
+// Shared by the API routes and the alert evaluator so both see the same
+// cached payload.
+
+import { stationDisplayName } from "./stations.js";
+import { getTides, summarizeTide } from "./tides.js";
+import { loadProfile } from "./profiles.js";
+import { conditionsFromResponse, scoreConditions } from "./rating.js";
+import { classifyWind, gustFactor } from "./wind.js";
+import { surfHeightFromResponse } from "./surfModel.js";
+import { swr } from "./cache.js";
+import { QC_WINDOW_HOURS, combineQc, runQc, usableValue } from "./qc.js";
+import { NOWCAST_HOURS, buildNowcast } from "./nowcast.js";
+import { bestSessions } from "./sessions.js";
+import { log } from "./log.js";
+import { toWaveComponents } from "./ndbc.js";
+import { FIELD_GROUPS, loadSources, mergeSources, sourcePolicy } from "./sources.js";
+import { climateContext, getClimatology } from "./climatology.js";
+import { comfortFromResponse, feelsLikeF } from "./comfort.js";
+import { weatherOutlook } from "./weather.js";
+
+// Configuration
+export const CACHE_POLICY = {
+  ttlMs: 5 * 60 * 1000, // Fresh for 5 minutes (NDBC updates every 6-10)
+  swrMs: 60 * 60 * 1000, // Up to an hour old: serve now, refresh in the background
+  maxAgeMs: 24 * 60 * 60 * 1000, // Fall back on up to a day old when every source is down
+};
+
+// Tide state at any time from the response's tide block
+function tideLookup(tide) {
+  if (!tide || !tide.previous) return null;
+  const events = [tide.previous, ...tide.events].map((e) => ({ ...e, time: new Date(e.time) }));
+  return (time) => {
+    const summary = summarizeTide(events, time);
+    return summary && { heightFt: summary.heightFt, stage: summary.stage, state: summary.state };
+  };
+}
+
+// QC each group of fields against its own source's recent readings
+function qcBySource(groups) {
+  const parts = [];
+  const runs = new Map();
+  for (const [group, g] of Object.entries(groups)) {
+    if (!g) continue;
+    const key = `${g.source}|${g.observation.updatedIso}`;
+    if (!runs.has(key)) {
+      const windowStart = Date.parse(g.observation.updatedIso) - QC_WINDOW_HOURS * 3600000;
+      runs.set(key, runQc(g.observation, g.series.filter((o) => Date.parse(o.updatedIso) >= windowStart)));
+    }
+    parts.push({ qc: runs.get(key), fields: FIELD_GROUPS[group].fields });
+  }
+  return combineQc(parts);
+}
+
+// Fetch and merge the latest conditions for a station from its sources
+// (lib/sources.js: NDBC, CDIP), plus tides. Throws when no source answers.
+export async function buildConditions(station, startTime = Date.now()) {
+  const STATION_ID = station.ndbcId;
+
+  // Tides and climatology are optional, so load them alongside the sources
+  const [results, tide, climate] = await Promise.all([
+    loadSources(station),
+    // 48 hours of tide so tomorrow's session window knows the tide too
+    getTides(station, { curveHours: 48 }).catch((e) => {
+      log.warn("Tide predictions unavailable", { station: station.id, error: e.message });
+      return null;
+    }),
+    getClimatology(station).catch((e) => {
+      log.warn("Climatology unavailable", { station: station.id, error: e.message });
+      return null;
+    }),
+  ]);
+  const policy = sourcePolicy(station);
+  const { groups, observation, series, fieldSources, sources } = mergeSources(results, policy);
+  for (const [group, g] of Object.entries(groups)) {
+    if (g && g.stale) {
+      log.warn("Serving a stale source", { station: station.id, group, source: g.source, updatedIso: g.observation.updatedIso });
+    } else if (g && g.source !== policy[group][0]) {
+      log.info("Failed over to another source", { station: station.id, group, source: g.source, preferred: policy[group][0] });
+    }
+  }
+
+  // The .spec swell split comes with NDBC; it describes NDBC's waves
+  const ndbc = results.find((r) => r.source === "ndbc" && r.ok);
+  const spec = ndbc ? ndbc.spec : null;
+  if (spec) {
+    for (const f of ["swell", "windWave"]) fieldSources[f] = "ndbc";
+  }
+  const waveSource = groups.waves || Object.values(groups).find(Boolean);
+
+  const { swellDirDeg, waterTempC: wtmpC } = observation;
+
+  // Range, rate-of-change, spike and flat-line checks against the last few hours
+  const qc = qcBySource(groups);
+  if (qc.overall !== "good") {
+    const flagged = Object.fromEntries(Object.entries(qc.fields)
+      .filter(([, f]) => f.flag !== "good")
+      .map(([field, f]) => [field, `${f.flag}: ${f.reasons.join("; ")}`]));
+    log.warn("QC flagged readings", { stationId: STATION_ID, overall: qc.overall, flagged });
+  }
+
+  // Pressure tendency, fronts and Santa Anas from the last few hours, leaving
+  // out latest readings QC flagged bad
+  const bad = Object.entries(qc.fields).filter(([, f]) => f.flag === "bad").map(([field]) => field);
+  const latestTimes = new Set(Object.values(groups).filter(Boolean).map((g) => g.observation.updatedIso));
+  const weather = weatherOutlook(bad.length === 0 ? series : series.map((o) => (
+    latestTimes.has(o.updatedIso) ? { ...o, ...Object.fromEntries(bad.map((f) => [f, null])) } : o
+  )));
+  if (weather.events.length) {
+    log.info("Weather events", { stationId: STATION_ID, events: weather.events.map((e) => `${e.type} (${e.confidence})`) });
+  }
+
+  // Wind chill on land, from readings QC didn't flag bad
+  const checked = { ...observation, qc };
+  const feelsF = feelsLikeF(usableValue(checked, "airTempF"), usableValue(checked, "windKts"));
+
+  // Columns that could carry temperature or swell direction, for the debug meta
+  const headerTokens = ndbc ? ndbc.debug.parseHeader : [];
+  const tempFields = headerTokens.filter(k =>
+    k.includes("TMP") || k.includes("TEMP") || k === "AT" || k === "WT"
+  );
+  const swellFields = headerTokens.filter(k =>
+    k.includes("MWD") || k.includes("WVDIR") || k.includes("WAVE") || k.includes("DIR")
+  );
+
+  // Missing columns are normal for some buoys, but worth seeing when a field goes blank
+  const missing = ndbc ? ["MWD", "ATMP", "WTMP"].filter((field) => !(field in ndbc.debug.fieldIndices)) : [];
+  if (missing.length) log.debug("NDBC columns missing", { stationId: STATION_ID, missing });
+
+  const json = {
+    stationId: STATION_ID,
+    station: station.id,
+    name: stationDisplayName(station),
+    location: { lat: station.lat, lon: station.lon },
+    beachFacingDeg: station.beachFacingDeg,
+    swellWindow: station.swellWindow,
+    // The source the waves came from (else the first that answered)
+    sourceUrl: sources[waveSource.source].url,
+    ...observation,
+    feelsLikeF: feelsF,
+    feelsLikeC: feelsF == null ? null : ((feelsF - 32) * 5) / 9,
+    windClass: classifyWind(observation.windDirDeg, station.beachFacingDeg),
+    gustFactor: gustFactor(observation.windKts, observation.windGustKts),
+    ...toWaveComponents(spec),
+    tide,
+    // 3-hour pressure tendency, wind change and fronts / Santa Anas (lib/weather.js)
+    weather,
+    qc,
+    // Percentiles against the month's history (lib/climatology.js); null without archives
+    climatology: climateContext(climate, observation, station.lon),
+    // Which source each field came from, and how every source fared
+    fieldSources,
+    sources,
+
+    // Parse details; the route only returns these when debug is requested
+    meta: {
+      ...(ndbc && ndbc.debug),
+      fetchTimeMs: Date.now() - startTime,
+      availableFields: {
+        temperature: tempFields,
+        swellDirection: swellFields,
+        allFields: headerTokens,
+      },
+      rawValues: {
+        wtmpC: wtmpC,
+        waterTempF: observation.waterTempF,
+        swellDirDeg: swellDirDeg,
+      },
+    },
+  };
+
+  // Estimated breaking face height at the spot
+  json.surfHeight = surfHeightFromResponse(json, station);
+
+  // What to wear: wetsuit thickness and extras for the water, air and wind
+  json.comfort = comfortFromResponse(json);
+
+  // Rating from the station's profile, with the per-factor breakdown
+  json.rating = scoreConditions(conditionsFromResponse(json), loadProfile(station), {
+    swellWindow: station.swellWindow,
+    beachFacingDeg: station.beachFacingDeg,
+  });
+
+  // Hour-by-hour extrapolation: 12 hours for the "later today" strip, and a
+  // vaguer 48 for picking the best daylight session today and tomorrow
+  const outlook = buildNowcast(series, station, { tideAt: tideLookup(tide), hours: 48 });
+  json.nowcast = outlook && { ...outlook, hours: outlook.hours.slice(0, NOWCAST_HOURS) };
+  json.sessions = bestSessions(json, outlook && outlook.hours, loadProfile(station), station);
+
+  log.debug("Parsed latest reading", { stationId: STATION_ID, waterTempC: wtmpC, swellDirDeg });
+  log.info("Conditions built", { stationId: STATION_ID, durationMs: Date.now() - startTime });
+
+  return json;
+}
+
+// Conditions through the response cache (see swr in lib/cache.js): resolves
+// { data, cachedAt, status, error }, rejecting only when every source fails
+// and nothing is cached. `fresh` builds them now instead of serving a cached
+// or revalidating copy (the new payload is still cached for the API).
+export function getConditions(station, startTime = Date.now(), { fresh = false } = {}) {
+  return swr(`surf:${station.id}`, () => buildConditions(station, startTime), { ...CACHE_POLICY, bypass: fresh });
+}
@@ -0,0 +1,77 @@
+// lib/describe.js
+// Plain-words description of a buoy reading ("Chest to head high, fun.
+// groundswell at 14 s. ..."), shared by the widget's Quick Read and the API's
+// text report.
+
+import { degToCompass, inSector } from "./wind.js";
+import { formatValue, resolveUnits } from "./units.js";
+
+export function swellKind(periodSec) {
+  if (periodSec >= 12) return "groundswell";
+  if (periodSec >= 8) return "mid-period swell";
+  return "short-period swell";
+}
+
+const defaultHeight = (ft) => formatValue("height", ft, resolveUnits());
+
+// The description as separate phrases, from
+//   { heightFt, periodSec, windKts, swellDirDeg, swell, windWave, swellWindow, windClass, gusty }
+// `swell` / `windWave` are the spectral components, `windClass` / `gusty` the
+// wind relative to the beach, when known. `formatHeight` formats a height in ft.
+export function describeParts(reading, formatHeight = defaultHeight) {
+  const { heightFt, periodSec, windKts, swellDirDeg, swell, windWave, swellWindow, windClass, gusty } = reading;
+  const out = [];
+
+  if (heightFt != null) {
+    if (heightFt < 1) out.push("Nearly flat");
+    else if (heightFt < 2) out.push("Small, longboard waves");
+    else if (heightFt < 3) out.push("Waist high, playful");
+    else if (heightFt < 5) out.push("Chest to head high, fun");
+    else out.push("Overhead, more powerful");
+  }
+
+  if (swell && swell.periodSec != null) {
+    // Real swell / wind-wave split from the spectral summary
+    out.push(`${swellKind(swell.periodSec)} at ${swell.periodSec.toFixed(0)} s`);
+    if (windWave && windWave.heightFt != null && windWave.heightFt >= 0.5) {
+      if (swell.heightFt != null && windWave.heightFt > swell.heightFt) {
+        out.push(`wind waves (${formatHeight(windWave.heightFt)}) outweigh the swell`);
+      } else {
+        out.push(`${formatHeight(windWave.heightFt)} of wind chop on top`);
+      }
+    }
+  } else if (periodSec != null) {
+    if (periodSec < 8) out.push("short-period wind swell");
+    else if (periodSec < 12) out.push("mid-period mix");
+    else out.push("decent groundswell energy");
+  }
+
+  if (swellDirDeg != null) {
+    const dir = degToCompass(swellDirDeg);
+    // Each break's profile lists the swell directions it picks up best
+    if (swellWindow && inSector(swellDirDeg, swellWindow.minDeg, swellWindow.maxDeg)) {
+      out.push(`${dir} swell direction (favorable)`);
+    } else {
+      out.push(`${dir} swell direction`);
+    }
+  }
+
+  if (windKts != null) {
+    const rel = windClass ? ` ${windClass}` : "";
+    if (windKts <= 5) out.push(`light${rel} winds`);
+    else if (windKts <= 12) out.push(`moderate${rel} wind`);
+    else if (windClass === "offshore" || windClass === "cross-offshore") out.push(`strong${rel} winds, clean but hard to paddle into`);
+    else out.push(`stronger${rel} winds, more texture`);
+
+    if (windClass === "offshore" && windKts > 5) out.push("offshore grooming the faces");
+    else if (windClass === "onshore" && windKts > 5) out.push("onshore chop");
+    if (gusty) out.push("gusty");
+  }
+
+  return out;
+}
+
+// The phrases as one string
+export function describeFromBuoy(reading, formatHeight = defaultHeight) {
+  return describeParts(reading, formatHeight).join(". ") || "No description available.";
+}
@@ -0,0 +1,165 @@
+// lib/formats.js
+// The API's response shapes besides full JSON, for chat bots, SMS gateways
+// and spreadsheets: a plain-text report, CSV, and JSON trimmed to ?fields=.
+//
+// Field names are the versioned response schema (API_SCHEMA.md).
+// SCHEMA_VERSION goes up only when a documented field is renamed, removed or
+// changes meaning; adding fields doesn't change it.
+
+import { formatRange, formatValue, resolveUnits } from "./units.js";
+import { degToCompass, isGusty } from "./wind.js";
+import { usableValue } from "./qc.js";
+import { describeParts } from "./describe.js";
+
+export const SCHEMA_VERSION = 1;
+
+export const MEDIA_TYPES = {
+  json: "application/json; charset=utf-8",
+  text: "text/plain; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+};
+
+// Top-level fields of an /api/surf/[station] response in this schema
+// version. `meta` (debug only) is left out on purpose: it isn't stable.
+export const RESPONSE_FIELDS = [
+  "schemaVersion", "stationId", "station", "name", "location", "beachFacingDeg", "swellWindow",
+  "sourceUrl", "updatedIso", "waveHeightM", "waveHeightFt", "dominantPeriodSec", "averagePeriodSec",
+  "swellDirDeg", "windDirDeg", "windKts", "windGustKts", "barometricPressureHpa", "airTempC",
+  "airTempF", "waterTempC", "waterTempF", "feelsLikeF", "feelsLikeC", "windClass", "gustFactor",
+  "swell", "windWave", "waveSteepness", "spectralUpdatedIso", "tide", "weather", "qc", "climatology",
+  "fieldSources", "sources", "surfHeight", "comfort", "rating", "nowcast", "sessions", "stale",
+  "cachedAt", "units", "display",
+];
+
+// Always returned with ?fields= (JSON), so a trimmed response still says
+// what it is
+const IDENTITY_FIELDS = ["schemaVersion", "station", "updatedIso"];
+
+// Default CSV columns for the current reading: one row, scalars only
+export const CSV_COLUMNS = [
+  "station", "stationId", "updatedIso", "waveHeightFt", "waveHeightM", "dominantPeriodSec",
+  "averagePeriodSec", "swellDirDeg", "surfHeight.minFt", "surfHeight.maxFt", "windKts", "windGustKts",
+  "windDirDeg", "windClass", "waterTempF", "waterTempC", "airTempF", "airTempC", "feelsLikeF",
+  "barometricPressureHpa", "weather.pressure.tendency", "tide.heightFt", "tide.state",
+  "rating.stars", "rating.text", "comfort.text", "qc.overall", "stale", "cachedAt",
+];
+
+// Value at a dotted path ("tide.heightFt"), or null when any step is missing
+export function valueAt(data, path) {
+  let value = data;
+  for (const key of path.split(".")) {
+    if (value == null || typeof value !== "object") return null;
+    value = value[key];
+  }
+  return value === undefined ? null : value;
+}
+
+// ?fields= as a list of dotted paths. Only the first step is checked (against
+// RESPONSE_FIELDS); deeper steps that don't exist come back null.
+// Returns { fields, unknown }.
+export function parseFields(value) {
+  const fields = [...new Set(String(value).split(",").map((f) => f.trim()).filter(Boolean))];
+  const unknown = fields.filter((f) => !RESPONSE_FIELDS.includes(f.split(".")[0]));
+  return { fields, unknown };
+}
+
+// The response trimmed to `fields` (dotted paths keep their nesting:
+// "tide.heightFt" gives { tide: { heightFt } }), plus IDENTITY_FIELDS
+export function selectFields(data, fields) {
+  const out = {};
+  for (const path of [...IDENTITY_FIELDS, ...fields]) {
+    const keys = path.split(".");
+    let target = out;
+    for (const key of keys.slice(0, -1)) {
+      if (target[key] == null || typeof target[key] !== "object") target[key] = {};
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = valueAt(data, path);
+  }
+  return out;
+}
+
+// One CSV cell (RFC 4180). Numbers are rounded to 2 decimals for
+// spreadsheets; objects and arrays are written as JSON.
+function csvCell(value) {
+  if (value == null) return "";
+  let text;
+  if (typeof value === "number") text = Number.isFinite(value) ? String(Number(value.toFixed(2))) : "";
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with a header row of `columns` (dotted paths) and one line per row
+export function toCsv(rows, columns) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(valueAt(row, c))).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// Every station in lib/stations.js is on the California coast
+const TIME_ZONE = "America/Los_Angeles";
+
+function formatUpdated(iso) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: TIME_ZONE,
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(new Date(iso));
+}
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// Short plain-text report for a response, e.g.
+//   Scripps Pier, La Jolla, CA: 3.7–5.8 ft, Fun Scripps conditions (4/5).
+//   Chest to head high, fun. Groundswell at 14 s. ... Updated Mon 9:50 AM PDT.
+// on one line. Readings QC flagged bad are left out.
+export function textReport(data, units = resolveUnits()) {
+  const height = (ft) => formatValue("height", ft, units);
+  const waveFt = usableValue(data, "waveHeightFt");
+  const windKts = usableValue(data, "windKts");
+  const gustKts = usableValue(data, "windGustKts");
+  const waterF = usableValue(data, "waterTempF");
+  const surf = data.surfHeight;
+
+  const band = surf
+    ? formatRange("height", surf.minFt, surf.maxFt, units)
+    : waveFt != null ? `${height(waveFt)} at the buoy` : null;
+  const rating = data.rating ? `${data.rating.text} (${data.rating.stars}/5)` : null;
+  const sentences = [`${data.name || data.station}: ${[band, rating].filter(Boolean).join(", ") || "no reading"}`];
+
+  sentences.push(...describeParts({
+    heightFt: waveFt,
+    periodSec: usableValue(data, "dominantPeriodSec") ?? usableValue(data, "averagePeriodSec"),
+    windKts,
+    swellDirDeg: usableValue(data, "swellDirDeg"),
+    swell: data.swell,
+    windWave: data.windWave,
+    swellWindow: data.swellWindow,
+    windClass: data.windClass,
+    gusty: isGusty(windKts, gustKts),
+  }, height).map(capitalize));
+
+  const details = [];
+  if (windKts != null) {
+    const speed = gustKts != null && gustKts > windKts
+      ? formatRange("speed", windKts, gustKts, units, 0)
+      : formatValue("speed", windKts, units, 0);
+    const dir = usableValue(data, "windDirDeg");
+    details.push(`wind ${speed}${dir != null ? ` ${degToCompass(dir)}` : ""}`);
+  }
+  if (waterF != null) {
+    details.push(`water ${formatValue("temp", waterF, units)}${data.comfort ? ` (${data.comfort.text})` : ""}`);
+  }
+  if (data.tide && data.tide.heightFt != null) {
+    details.push(`tide ${height(data.tide.heightFt)}${data.tide.state ? ` ${data.tide.state}` : ""}`);
+  }
+  if (details.length) sentences.push(capitalize(details.join(", ")));
+
+  if (data.updatedIso) {
+    sentences.push(`${data.stale ? "Last known conditions, updated" : "Updated"} ${formatUpdated(data.updatedIso)}`);
+  }
+  return `${sentences.join(". ")}.\n`;
+}
@@ -0,0 +1,165 @@
+// lib/http.js
+// Request/response helpers shared by the /api/surf routes.
+
+import { timingSafeEqual } from "node:crypto";
+import { DEFAULT_STATION, STATIONS, getStation } from "./stations.js";
+
+export const isDevelopment = process.env.NODE_ENV === "development";
+
+// CORS configuration - allow specific origins or all in development
+export const getAllowedOrigins = () => {
+  const allowed = process.env.ALLOWED_ORIGINS;
+  if (allowed) {
+    return allowed.split(",").map((o) => o.trim());
+  }
+  // In development, allow all; in production, restrict
+  return isDevelopment ? ["*"] : [];
+};
+
+// Set CORS headers. Returns true when the request was a preflight that has
+// already been answered. `methods` lists what the route accepts.
+export function applyCors(req, res, methods = "GET,OPTIONS") {
+  const allowedOrigins = getAllowedOrigins();
+  const origin = req.headers.origin;
+
+  if (allowedOrigins.includes("*") || (origin && allowedOrigins.includes(origin))) {
+    res.setHeader("Access-Control-Allow-Origin", origin || "*");
+  }
+  // The allowed origin is echoed back, so shared caches must key on it
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Request-Id, X-Debug-Key");
+  res.setHeader("Access-Control-Expose-Headers", "X-Request-Id");
+
+  if (req.method === "OPTIONS") {
+    res.status(200).end();
+    return true;
+  }
+  return false;
+}
+
+// Station for this request, from the [station] path segment or ?station=,
+// falling back to the default. STATION_ID still overrides the NDBC buoy used
+// for the default station. Returns null for an unknown slug.
+export function resolveStation(req) {
+  const slug = (req.query && req.query.station) || DEFAULT_STATION;
+  const station = getStation(slug);
+  if (!station) return null;
+  if (station.id === DEFAULT_STATION && process.env.STATION_ID) {
+    return { ...station, ndbcId: process.env.STATION_ID };
+  }
+  return station;
+}
+
+// 404 body for an unknown station slug.
+export function unknownStation(res, slug) {
+  return res.status(404).json({
+    error: `Unknown station: ${slug}`,
+    stations: Object.keys(STATIONS),
+  });
+}
+
+// Cache-Control for API responses. Browsers revalidate after a minute (cheap
+// with the ETag); CDNs hold a response as long as the server-side cache does.
+export const CACHE_CONTROL = {
+  fresh: "public, max-age=60, s-maxage=300, stale-while-revalidate=600",
+  // Last good data served because NDBC is down: don't let CDNs pin it
+  stale: "public, max-age=0, s-maxage=60",
+  error: "no-store",
+  // Responses carrying debug meta are per-request and shouldn't be shared
+  debug: "private, no-store",
+  // Card images: image proxies (Slack, GitHub's camo, mail clients) cache on
+  // their own terms, so give them a short, explicit lifetime
+  image: "public, max-age=300, s-maxage=300, stale-while-revalidate=600",
+};
+
+// Constant-time check of a caller-supplied secret against the expected one.
+// False when either is missing or `given` isn't a string.
+export function secretMatches(given, expected) {
+  if (typeof given !== "string" || !expected) return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// True when the request asked for debug details (`meta`): `?debug=1` in
+// development, otherwise `?debug=<DEBUG_KEY>` or an `X-Debug-Key` header
+// matching the DEBUG_KEY environment variable. Off when DEBUG_KEY is unset.
+export function wantsDebug(req) {
+  const query = req.query && req.query.debug;
+  const header = (req.headers || {})["x-debug-key"];
+  if (isDevelopment && ["1", "true"].includes(String(query))) return true;
+
+  const key = process.env.DEBUG_KEY;
+  if (!key) return false;
+  return secretMatches(query, key) || secretMatches(header, key);
+}
+
+// Response format for this request, one of the keys of `formats` (name ->
+// media type): ?format= when given, else the best Accept match, else "json".
+// Returns null for a ?format= the route doesn't offer.
+export function negotiateFormat(req, formats) {
+  const query = req.query && req.query.format;
+  if (query != null && query !== "") {
+    const name = String(query).toLowerCase();
+    return Object.hasOwn(formats, name) ? name : null;
+  }
+
+  // Accept ranges by q-value, highest first (stable, so ties keep their order)
+  const ranges = String((req.headers || {}).accept || "")
+    .split(",")
+    .map((part) => {
+      const [type, ...params] = part.split(";").map((s) => s.trim().toLowerCase());
+      const q = params.find((p) => p.startsWith("q="));
+      return { type, q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter((r) => r.type && r.q > 0)
+    .sort((a, b) => b.q - a.q);
+  for (const { type } of ranges) {
+    const match = Object.keys(formats).find((name) => formats[name].split(";")[0] === type);
+    if (match) return match;
+  }
+  return "json";
+}
+
+// Weak ETag from the values that identify a representation (FNV-1a hash).
+export function weakEtag(...parts) {
+  let hash = 0x811c9dc5;
+  for (const ch of parts.map((p) => (p == null ? "" : String(p))).join("|")) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `W/"${hash.toString(36)}"`;
+}
+
+// True when the request's If-None-Match / If-Modified-Since validators match.
+// If-None-Match wins when both are sent (RFC 9110).
+function isNotModified(req, etag, lastModifiedMs) {
+  const headers = req.headers || {};
+  const inm = headers["if-none-match"];
+  if (inm) {
+    const strip = (t) => t.trim().replace(/^W\//, "");
+    return inm.split(",").some((t) => t.trim() === "*" || strip(t) === strip(etag));
+  }
+  const ims = Date.parse(headers["if-modified-since"] || "");
+  // HTTP dates have whole-second precision
+  return Number.isFinite(ims) && lastModifiedMs != null && Math.floor(lastModifiedMs / 1000) * 1000 <= ims;
+}
+
+// Set ETag, Last-Modified and Cache-Control, and answer 304 when the client's
+// copy is current. Returns true when the 304 has been sent.
+//   lastModified  ISO time the data was observed (e.g. updatedIso)
+export function sendConditional(req, res, { etag, lastModified, cacheControl }) {
+  const lastModifiedMs = lastModified ? Date.parse(lastModified) : null;
+  res.setHeader("ETag", etag);
+  if (Number.isFinite(lastModifiedMs)) {
+    res.setHeader("Last-Modified", new Date(lastModifiedMs).toUTCString());
+  }
+  res.setHeader("Cache-Control", cacheControl);
+
+  if (isNotModified(req, etag, lastModifiedMs)) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,91 @@
+// lib/log.js
+// Structured, leveled logging for the API routes (server only).
+//
+//   LOG_LEVEL   debug | info | warn | error | silent
+//               (default info; debug when NODE_ENV=development)
+//   LOG_FORMAT  json (default): one object per line for log drains
+//               text: "[time] LEVEL message key=value" for reading locally
+//
+// Every entry carries { time, level, msg } plus the request's { requestId,
+// route } while a handler wrapped in withRequest() runs, so lib modules log
+// with the request id without passing it around.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const context = new AsyncLocalStorage();
+
+// Incoming ids we're willing to echo back (no header injection, bounded length)
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+function threshold() {
+  const name = (process.env.LOG_LEVEL || (process.env.NODE_ENV === "development" ? "debug" : "info")).toLowerCase();
+  return LEVELS[name] ?? LEVELS.info;
+}
+
+export const isLevelEnabled = (level) => LEVELS[level] >= threshold();
+
+// Errors don't JSON.stringify; keep what's useful
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(isLevelEnabled("debug") && { stack: value.stack }) };
+  }
+  return value;
+}
+
+function write(level, msg, fields = {}) {
+  if (!isLevelEnabled(level)) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...context.getStore() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+
+  let line;
+  if ((process.env.LOG_FORMAT || "json").toLowerCase() === "text") {
+    const { time, level: _, msg: __, ...rest } = entry;
+    const extras = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`);
+    line = [`[${time}]`, level.toUpperCase(), msg, ...extras].join(" ");
+  } else {
+    line = JSON.stringify(entry);
+  }
+  (level === "error" ? console.error : level === "warn" ? console.warn : console.log)(line);
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+// Milliseconds since the call: const elapsed = startTimer(); ... elapsed()
+export function startTimer() {
+  const start = performance.now();
+  return () => Math.round(performance.now() - start);
+}
+
+// The current request's id, or null outside a request
+export const currentRequestId = () => (context.getStore() || {}).requestId || null;
+
+// Wrap a route handler: pick a request id (the caller's X-Request-Id when it
+// looks sane, else a new one), echo it in X-Request-Id, bind it for every log
+// line during the request, and log one access line when the response ends.
+export function withRequest(route, handler) {
+  return (req, res) => {
+    const incoming = (req.headers || {})["x-request-id"];
+    const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : randomUUID();
+    res.setHeader("X-Request-Id", requestId);
+
+    return context.run({ requestId, route }, () => {
+      const elapsed = startTimer();
+      if (typeof res.on === "function") {
+        // Listeners may run outside the request's context, so bind the id explicitly
+        res.on("finish", () => {
+          log.info("request", { requestId, route, method: req.method, url: req.url, status: res.statusCode, durationMs: elapsed() });
+        });
+      }
+      return handler(req, res);
+    });
+  };
+}
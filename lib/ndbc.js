@@ -0,0 +1,188 @@
+// lib/ndbc.js
+// Shared NOAA NDBC helpers: fetch the realtime text files and turn parsed
+// records (lib/ndbcParser.js) into normalized observations. Used by every
+// /api/surf route.
+
+import { log, startTimer } from "./log.js";
+import { parseNdbc } from "./ndbcParser.js";
+
+export { compassToDeg, parseNum } from "./ndbcParser.js";
+
+const FETCH_TIMEOUT = 10000; // 10 seconds
+
+// Fetch with timeout. Every attempt is logged with its status and timing.
+export async function fetchWithTimeout(url, timeout = FETCH_TIMEOUT, headers = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const elapsed = startTimer();
+
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        "User-Agent": "Scripps-Surf-Widget/1.0",
+        ...headers,
+      },
+    });
+    clearTimeout(timeoutId);
+    log.info("upstream", { url, status: response.status, durationMs: elapsed(), conditional: Object.keys(headers).length > 0 });
+    return response;
+  } catch (error) {
+    clearTimeout(timeoutId);
+    const failure = error.name === "AbortError" ? new Error(`Request timeout after ${timeout}ms`) : error;
+    log.warn("upstream failed", { url, durationMs: elapsed(), error: failure.message });
+    throw failure;
+  }
+}
+
+// Last download per URL -> { etag, lastModified, text }. Later requests are
+// conditional, so NDBC answers 304 when the file hasn't changed.
+const validators = new Map();
+
+// GET `url`, conditional on the last download. Resolves { resp, text, notModified };
+// `text` is null when the response isn't usable (check resp).
+async function fetchConditional(url) {
+  const prev = validators.get(url);
+  const headers = {};
+  if (prev && prev.etag) headers["If-None-Match"] = prev.etag;
+  if (prev && prev.lastModified) headers["If-Modified-Since"] = prev.lastModified;
+
+  const resp = await fetchWithTimeout(url, FETCH_TIMEOUT, headers);
+  if (resp && resp.status === 304 && prev) {
+    return { resp, text: prev.text, notModified: true };
+  }
+  if (!resp || !resp.ok) return { resp, text: null, notModified: false };
+
+  const text = await resp.text();
+  const etag = resp.headers && resp.headers.get("etag");
+  const lastModified = resp.headers && resp.headers.get("last-modified");
+  if (etag || lastModified) validators.set(url, { etag, lastModified, text });
+  return { resp, text, notModified: false };
+}
+
+// NDBC provides standard meteorological data in /data/realtime2.
+// For safety, we try a couple of likely URLs in order of preference.
+export function candidateUrls(stationId) {
+  return [
+    `https://www.ndbc.noaa.gov/data/realtime2/${stationId}.txt`,
+    `https://www.ndbc.noaa.gov/data/5day/${stationId}_5day.txt`,
+    `https://www.ndbc.noaa.gov/data/realtime2/${stationId.toLowerCase()}.txt`,
+    `https://www.ndbc.noaa.gov/data/5day/${stationId.toLowerCase()}_5day.txt`,
+  ];
+}
+
+// Try each candidate URL in turn and return the first file that downloads.
+// `notModified` is true when NDBC confirmed the previous download is current.
+export async function fetchStationText(stationId) {
+  const urls = candidateUrls(stationId);
+  const errors = [];
+
+  for (const url of urls) {
+    try {
+      const { resp, text, notModified } = await fetchConditional(url);
+      if (text == null) {
+        errors.push(`${url} -> ${resp ? resp.status + " " + resp.statusText : "no response"}`);
+        continue;
+      }
+      log.debug(notModified ? "NDBC file not modified" : "NDBC file fetched", { url });
+      return { text, usedUrl: url, urlsTried: urls, notModified };
+    } catch (e) {
+      const errorMsg = e.message || String(e);
+      errors.push(`${url} -> ${errorMsg}`);
+      log.debug("NDBC candidate failed", { url, error: errorMsg });
+    }
+  }
+
+  throw new Error("All candidate NDBC URLs failed: " + errors.join(" | "));
+}
+
+// Spectral wave summary (.spec): swell and wind-wave components.
+// Only realtime2 publishes it, and not every station has one.
+export function specUrl(stationId) {
+  return `https://www.ndbc.noaa.gov/data/realtime2/${stationId}.spec`;
+}
+
+// Fetch the .spec file. Resolves to null when the station has none or the
+// request fails, since the standard met file is enough to answer.
+export async function fetchSpecText(stationId) {
+  const url = specUrl(stationId);
+  try {
+    const { resp, text, notModified } = await fetchConditional(url);
+    if (text == null) {
+      log.info("No spectral summary", { stationId, status: resp ? resp.status : null });
+      return null;
+    }
+    return { text, usedUrl: url, notModified };
+  } catch (e) {
+    log.warn("Spectral summary fetch failed", { url, error: e.message || String(e) });
+    return null;
+  }
+}
+
+// ---------- Parse NDBC text ----------
+// Parsing lives in lib/ndbcParser.js; this keeps the last parse per URL, so
+// an unchanged (304) file isn't parsed again. Callers must treat the result
+// as read-only. Records are newest first (NDBC realtime file order).
+const parsedByUrl = new Map();
+
+export function parseNdbcText(text, sourceUrl) {
+  const prev = parsedByUrl.get(sourceUrl);
+  if (prev && prev.text === text) return prev.parsed;
+  const parsed = parseNdbc(text, { source: sourceUrl });
+  parsedByUrl.set(sourceUrl, { text, parsed });
+  return parsed;
+}
+
+// ---------- Unit helpers ----------
+export const mToFt   = (m)  => (m == null ? null : m * 3.28084);
+export const msToKts = (ms) => (ms == null ? null : ms * 1.94384);
+export const cToF    = (c)  => (c == null ? null : (c * 9) / 5 + 32);
+
+// Normalized observation from a standard met record: the same fields and
+// units as /api/surf/scripps.
+export function toObservation(record) {
+  const value = (key) => (record[key] === undefined ? null : record[key]);
+  return {
+    updatedIso: record.time ? record.time.toISOString() : null,
+
+    windDirDeg: value("windDirDeg"),
+    windKts: msToKts(value("windSpeedMs")),
+    windGustKts: msToKts(value("gustMs")),
+
+    waveHeightM: value("waveHeightM"),
+    waveHeightFt: mToFt(value("waveHeightM")),
+    dominantPeriodSec: value("dominantPeriodSec"),
+    averagePeriodSec: value("averagePeriodSec"),
+    swellDirDeg: value("meanWaveDirDeg"),
+
+    barometricPressureHpa: value("pressureHpa"),
+    airTempC: value("airTempC"),
+    airTempF: cToF(value("airTempC")),
+    waterTempC: value("waterTempC"),
+    waterTempF: cToF(value("waterTempC")),
+  };
+}
+
+export const OBSERVATION_FIELDS = Object.keys(toObservation({}));
+
+function waveComponent(heightM, periodSec, dirDeg) {
+  if (heightM == null && periodSec == null) return null;
+  return {
+    heightM,
+    heightFt: mToFt(heightM),
+    periodSec,
+    dirDeg,
+  };
+}
+
+// Swell / wind-wave components in the response shape, from a .spec record.
+// Missing components are null.
+export function toWaveComponents(spec) {
+  if (!spec) return { swell: null, windWave: null, waveSteepness: null, spectralUpdatedIso: null };
+  return {
+    swell: waveComponent(spec.swellHeightM, spec.swellPeriodSec, spec.swellDirDeg),
+    windWave: waveComponent(spec.windWaveHeightM, spec.windWavePeriodSec, spec.windWaveDirDeg),
+    waveSteepness: spec.steepness,
+    spectralUpdatedIso: spec.time ? spec.time.toISOString() : null,
+  };
+}
@@ -0,0 +1,341 @@
+// lib/ndbcParser.js
+// Parser for NOAA NDBC text files: the realtime2 files (.txt standard met,
+// .spec, .ocean, .cwind, and the spectral .data_spec / .swdir / .swdir2 /
+// .swr1 / .swr2) and the historical stdmet archives (e.g. 46225h2023.txt).
+// No fetching and no Node APIs, so scripts and other tools can import it.
+//
+//   import { parseNdbc } from "./lib/ndbcParser.js";
+//   const { format, columns, records } = parseNdbc(text, { source: "46225.spec" });
+//
+// Tabular files become one record per row: { time: Date, ...fields }, keyed
+// by the COLUMNS below, in their canonical units. The units line under the
+// header ("#yr mo dy hr mn degT m/s ...") is read when present, and values in
+// other units are converted (historical VIS is in statute miles, realtime in
+// nautical). Spectral files become { time, separationFrequencyHz, bins:
+// [{ frequencyHz, value }] }. Missing values ("MM", and each column's 99 / 999
+// / 9999 filler) are null.
+
+// Canonical key, unit and missing-value filler per column. Types:
+//   number     plain number
+//   direction  degrees, or a compass point ("WSW") as .spec reports them
+//   text       kept as a string (STEEPNESS)
+//   hhmm       time of day on the row's date (GTIME, the peak gust time)
+export const COLUMNS = {
+  // Standard meteorological (.txt, historical stdmet) and continuous winds (.cwind)
+  WDIR: { key: "windDirDeg", unit: "degT", missing: 999, aliases: ["WD"] },
+  WSPD: { key: "windSpeedMs", unit: "m/s", missing: 99 },
+  GST: { key: "gustMs", unit: "m/s", missing: 99 },
+  GDR: { key: "gustDirDeg", unit: "degT", missing: 999 },
+  GTIME: { key: "gustTime", unit: "hhmm", type: "hhmm", missing: 9999 },
+  WVHT: { key: "waveHeightM", unit: "m", missing: 99 },
+  DPD: { key: "dominantPeriodSec", unit: "sec", missing: 99 },
+  APD: { key: "averagePeriodSec", unit: "sec", missing: 99 },
+  MWD: { key: "meanWaveDirDeg", unit: "degT", type: "direction", missing: 999, aliases: ["MWWD", "WVDIR", "WAVE_DIR"] },
+  PRES: { key: "pressureHpa", unit: "hPa", missing: 9999, aliases: ["BAR", "BARO"] },
+  ATMP: { key: "airTempC", unit: "degC", missing: 999, aliases: ["AT", "AIR_TEMP", "TEMP"] },
+  WTMP: { key: "waterTempC", unit: "degC", missing: 999, aliases: ["WT", "WATER_TEMP", "SEA_TEMP"] },
+  DEWP: { key: "dewPointC", unit: "degC", missing: 999 },
+  VIS: { key: "visibilityNmi", unit: "nmi", missing: 99 },
+  PTDY: { key: "pressureTendencyHpa", unit: "hPa", missing: 99 },
+  TIDE: { key: "tideFt", unit: "ft", missing: 99 },
+
+  // Spectral wave summary (.spec)
+  SwH: { key: "swellHeightM", unit: "m", missing: 99 },
+  SwP: { key: "swellPeriodSec", unit: "sec", missing: 99 },
+  SwD: { key: "swellDirDeg", unit: "degT", type: "direction", missing: 999 },
+  WWH: { key: "windWaveHeightM", unit: "m", missing: 99 },
+  WWP: { key: "windWavePeriodSec", unit: "sec", missing: 99 },
+  WWD: { key: "windWaveDirDeg", unit: "degT", type: "direction", missing: 999 },
+  STEEPNESS: { key: "steepness", unit: "-", type: "text" },
+
+  // Oceanographic (.ocean)
+  DEPTH: { key: "depthM", unit: "m", missing: 9999 },
+  OTMP: { key: "oceanTempC", unit: "degC", missing: 999 },
+  COND: { key: "conductivityMsCm", unit: "mS/cm", missing: 999 },
+  SAL: { key: "salinityPsu", unit: "psu", missing: 999 },
+  "O2%": { key: "oxygenSaturationPct", unit: "%", missing: 999 },
+  O2PPM: { key: "oxygenPpm", unit: "ppm", missing: 999 },
+  CLCON: { key: "chlorophyllUgL", unit: "ug/l", missing: 999 },
+  TURB: { key: "turbidityFtu", unit: "FTU", missing: 999 },
+  PH: { key: "ph", unit: "-", missing: 99 },
+  EH: { key: "redoxMv", unit: "mv", missing: 9999 },
+};
+
+// Columns that make up the timestamp rather than a field
+const TIME_COLUMNS = new Set(["YY", "YYYY", "MM", "DD", "hh", "HH", "mm"]);
+
+// What each file holds. `extensions` are matched against the end of the
+// source name, longest first, so ".data_spec" doesn't read as ".spec".
+export const FORMATS = {
+  stdmet: { extensions: [".txt"], description: "Standard meteorological data (realtime or historical)" },
+  spec: { extensions: [".spec"], description: "Spectral wave summary (swell / wind-wave split)" },
+  ocean: { extensions: [".ocean"], description: "Oceanographic data" },
+  cwind: { extensions: [".cwind"], description: "Continuous winds (10-minute)" },
+  data_spec: { extensions: [".data_spec"], spectral: { quantity: "energyDensity", unit: "m2/Hz" }, description: "Spectral wave density" },
+  swdir: { extensions: [".swdir"], spectral: { quantity: "alpha1", unit: "degT" }, description: "Spectral wave mean direction (alpha1)" },
+  swdir2: { extensions: [".swdir2"], spectral: { quantity: "alpha2", unit: "degT" }, description: "Spectral wave principal direction (alpha2)" },
+  swr1: { extensions: [".swr1"], spectral: { quantity: "r1", unit: "-" }, description: "Spectral wave directional spread (r1)" },
+  swr2: { extensions: [".swr2"], spectral: { quantity: "r2", unit: "-" }, description: "Spectral wave directional spread (r2)" },
+};
+
+// Spellings of the same unit, and conversions into the canonical ones
+const UNIT_ALIASES = { s: "sec", deg: "degT", mb: "hPa", kt: "kts", knots: "kts", C: "degC", F: "degF" };
+const CONVERSIONS = {
+  "mi>nmi": (v) => v * 0.868976,
+  "km>nmi": (v) => v / 1.852,
+  "m>ft": (v) => v / 0.3048,
+  "ft>m": (v) => v * 0.3048,
+  "kts>m/s": (v) => v * 0.514444,
+  "degF>degC": (v) => ((v - 32) * 5) / 9,
+  "in>hPa": (v) => v * 33.8639,
+};
+
+const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+// Column definition for a header token, following aliases (e.g. BAR -> PRES)
+const byName = new Map();
+for (const [name, def] of Object.entries(COLUMNS)) {
+  byName.set(name, { name, ...def });
+  for (const alias of def.aliases || []) byName.set(alias, { name, ...def });
+}
+export const columnFor = (token) => byName.get(token) || null;
+
+// A number from an NDBC token, or null when it's missing. `missing` is the
+// column's filler value; without one, runs of 9s from "99" up count as
+// missing. A lone 9 is a real reading (a 9 s period, a 9 m/s wind).
+export function parseNum(value, missing = null) {
+  if (value == null) return null;
+  const str = String(value).trim();
+  if (str === "" || str === "MM" || str === "NaN" || str === "N/A") return null;
+  const n = Number(str);
+  if (!Number.isFinite(n)) return null;
+  if (missing != null ? n === missing : /^9{2,}(\.0+)?$/.test(str)) return null;
+  return n;
+}
+
+// "WSW" -> 247.5; plain degrees pass through
+export function compassToDeg(value, missing = null) {
+  if (value == null) return null;
+  const i = COMPASS_POINTS.indexOf(String(value).trim().toUpperCase());
+  if (i !== -1) return i * 22.5;
+  return parseNum(value, missing);
+}
+
+// The format for a file: `source` (a file name or URL) by extension, else
+// guessed from the header tokens.
+export function detectFormat(source, headerTokens = []) {
+  const name = String(source || "").split(/[?#]/)[0].toLowerCase().replace(/\.gz$/, "");
+  const byExtension = Object.entries(FORMATS)
+    .flatMap(([format, { extensions }]) => extensions.map((ext) => [format, ext]))
+    .sort((a, b) => b[1].length - a[1].length)
+    .find(([, ext]) => name.endsWith(ext));
+  if (byExtension) return byExtension[0];
+  // NDBC serves historical files as e.g. view_text_file.php?filename=46225h2023.txt.gz
+  const param = /filename=([^&]+)/.exec(String(source || ""));
+  if (param) return detectFormat(decodeURIComponent(param[1]), headerTokens);
+
+  const has = (t) => headerTokens.includes(t);
+  if (has("SwH") || has("STEEPNESS")) return "spec";
+  if (has("OTMP") || has("SAL") || has("DEPTH")) return "ocean";
+  if (has("GTIME") || has("GDR")) return "cwind";
+  if (headerTokens.some((t) => t.startsWith("("))) return "data_spec";
+  return "stdmet";
+}
+
+// Header line tokens, or null: "#YY MM DD hh mm ..." and the historical
+// uncommented "YYYY MM DD hh ..." / "YY MM DD hh ..."
+function headerTokensOf(line) {
+  const tokens = line.replace(/^#+\s*/, "").split(/\s+/).filter(Boolean);
+  const hasYear = tokens.includes("YY") || tokens.includes("YYYY");
+  return hasYear && tokens.includes("MM") && tokens.includes("DD") ? tokens : null;
+}
+
+// Units line tokens ("#yr mo dy hr mn degT ..."), or null
+function unitsTokensOf(line) {
+  if (!line.startsWith("#")) return null;
+  const tokens = line.replace(/^#+\s*/, "").split(/\s+/).filter(Boolean);
+  return tokens[0] === "yr" ? tokens : null;
+}
+
+function normalizeUnit(unit) {
+  return UNIT_ALIASES[unit] || unit;
+}
+
+// Split the file into header, units and data rows
+function splitLines(text, source) {
+  let headerTokens = null;
+  let unitTokens = null;
+  const dataRows = [];
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    if (!headerTokens) {
+      headerTokens = headerTokensOf(line);
+      continue;
+    }
+    if (line.startsWith("#")) {
+      if (!unitTokens && dataRows.length === 0) unitTokens = unitsTokensOf(line);
+      continue;
+    }
+    dataRows.push(line.split(/\s+/));
+  }
+
+  if (!headerTokens) {
+    throw new Error("Could not find the header row in NDBC file: " + (source || "(text)"));
+  }
+  return { headerTokens, unitTokens, dataRows };
+}
+
+// Time fields – "YY" or "YYYY", "hh" or "HH", and "mm" (absent before 2005).
+// Two-digit years are the 1970s–1990s archives. Returns null when unusable.
+export function rowTimestamp(row, idx) {
+  const at = (...names) => {
+    const name = names.find((n) => idx[n] != null);
+    return name == null ? null : parseNum(row[idx[name]]);
+  };
+  const year = at("YYYY", "YY");
+  const month = at("MM");
+  const day = at("DD");
+  const hour = at("hh", "HH");
+  const mins = at("mm");
+
+  if (!year || !month || !day || hour == null) return null;
+  const fullYear = year < 100 ? (year < 50 ? 2000 : 1900) + year : year;
+  const ms = Date.UTC(fullYear, month - 1, day, hour, mins || 0, 0);
+  return Number.isFinite(ms) ? new Date(ms) : null;
+}
+
+// Column layout: each field column with its key, canonical unit, the unit the
+// file reports it in, and how to read a token into a value.
+function buildColumns(headerTokens, unitTokens, warnings) {
+  const columns = [];
+  headerTokens.forEach((token, position) => {
+    if (TIME_COLUMNS.has(token)) return;
+    const def = columnFor(token);
+    const sourceUnit = unitTokens && unitTokens[position] != null ? normalizeUnit(unitTokens[position]) : null;
+
+    if (!def) {
+      columns.push({ name: token, key: token, unit: sourceUnit, sourceUnit, position, read: (t) => parseNum(t) });
+      return;
+    }
+
+    let convert = null;
+    if (sourceUnit && sourceUnit !== def.unit && sourceUnit !== "-" && def.type !== "text") {
+      convert = CONVERSIONS[`${sourceUnit}>${def.unit}`] || null;
+      if (!convert) warnings.push(`${token}: unrecognized unit "${sourceUnit}" (expected ${def.unit}); values left as reported`);
+    }
+
+    let read;
+    if (def.type === "text") {
+      read = (t) => (t == null || t === "MM" || t === "N/A" ? null : t);
+    } else if (def.type === "direction") {
+      read = (t) => compassToDeg(t, def.missing);
+    } else if (def.type === "hhmm") {
+      read = (t) => parseNum(t, def.missing);
+    } else {
+      read = (t) => {
+        const n = parseNum(t, def.missing);
+        return n != null && convert ? convert(n) : n;
+      };
+    }
+
+    // The first of several alias columns wins (e.g. both ATMP and TEMP)
+    if (columns.some((c) => c.key === def.key)) return;
+    columns.push({ name: def.name, token, key: def.key, unit: def.unit, sourceUnit, type: def.type || "number", position, read });
+  });
+  return columns;
+}
+
+// "hhmm" on the row's date, at or before the observation time
+function timeOfDay(hhmm, time) {
+  if (hhmm == null || !time) return null;
+  const at = new Date(time);
+  at.setUTCHours(Math.floor(hhmm / 100), hhmm % 100, 0, 0);
+  if (at > time) at.setUTCDate(at.getUTCDate() - 1);
+  return at;
+}
+
+function tabularRecords(dataRows, idx, columns) {
+  const records = [];
+  for (const row of dataRows) {
+    const time = rowTimestamp(row, idx);
+    if (!time) continue;
+    const record = { time };
+    for (const col of columns) {
+      const value = col.position < row.length ? col.read(row[col.position]) : null;
+      record[col.key] = col.type === "hhmm" ? timeOfDay(value, time) : value;
+    }
+    records.push(record);
+  }
+  return records;
+}
+
+// Spectral rows: the time columns, an optional separation frequency
+// (.data_spec), then "value (frequency)" pairs
+function spectralRecords(dataRows, idx) {
+  const timeColumns = Object.keys(idx).filter((t) => TIME_COLUMNS.has(t)).length;
+  const records = [];
+  for (const row of dataRows) {
+    const time = rowTimestamp(row, idx);
+    if (!time) continue;
+    const rest = row.slice(timeColumns);
+    const record = { time, separationFrequencyHz: null, bins: [] };
+    for (let i = 0; i < rest.length; i++) {
+      const freq = /^\((.*)\)$/.exec(rest[i + 1] || "");
+      if (freq) {
+        record.bins.push({ frequencyHz: parseNum(freq[1]), value: parseNum(rest[i], 999) });
+        i++;
+      } else if (record.bins.length === 0 && !rest[i].startsWith("(")) {
+        record.separationFrequencyHz = parseNum(rest[i], 9.999);
+      }
+    }
+    records.push(record);
+  }
+  return records;
+}
+
+// Parse an NDBC text file.
+//   source  file name or URL, used to detect the format and in errors
+//   format  one of FORMATS, overriding detection
+// Returns {
+//   format, source,
+//   columns: [{ name, key, unit, sourceUnit, type }]  (field columns, file order)
+//   records: [{ time, ...fields }] in file order (realtime is newest first,
+//            historical oldest first); spectral: [{ time, separationFrequencyHz, bins }]
+//   quantity, unit       spectral formats only: what the bin values are
+//   warnings             units that couldn't be converted
+//   headerTokens, idx, dataRows   the raw tokens, for callers that want them
+// }
+// Throws when there's no header or no data row.
+export function parseNdbc(text, { source = null, format = null } = {}) {
+  const { headerTokens, unitTokens, dataRows } = splitLines(String(text), source);
+  const kind = format || detectFormat(source, headerTokens);
+  if (!FORMATS[kind]) throw new Error(`Unknown NDBC format: ${kind}`);
+
+  const idx = Object.fromEntries(headerTokens.map((name, i) => [name, i]));
+  const warnings = [];
+  const spectral = FORMATS[kind].spectral;
+
+  // A tabular row shorter than the header is truncated; skip it
+  const rows = spectral ? dataRows : dataRows.filter((row) => row.length >= headerTokens.length);
+  if (rows.length === 0) {
+    throw new Error("Could not find data rows in NDBC file: " + (source || "(text)"));
+  }
+
+  const columns = spectral ? [] : buildColumns(headerTokens, unitTokens, warnings);
+  const records = spectral ? spectralRecords(rows, idx) : tabularRecords(rows, idx, columns);
+
+  return {
+    format: kind,
+    source,
+    columns: columns.map(({ name, key, unit, sourceUnit, type }) => ({ name, key, unit, sourceUnit, type })),
+    records,
+    ...spectral,
+    warnings,
+    headerTokens,
+    idx,
+    dataRows: rows,
+  };
+}
@@ -0,0 +1,63 @@
+// lib/notify.js
+// Alert delivery channels. A rule's `notify` list holds targets such as
+//   { "type": "webhook", "url": "https://example.com/hook", "secret": "…" }
+//   { "type": "webpush", "subscription": { "endpoint": "…", "keys": { … } } }
+// and each channel sends the alert payload from lib/alerts.js to one target.
+// Webhooks get the payload as JSON; with a `secret`, the body is signed in
+// X-Surf-Signature: sha256=<hex HMAC>. Web Push gets { title, body, url, tag }
+// for the service worker to show.
+
+import { createHmac } from "node:crypto";
+import { sendPush } from "./webpush.js";
+import { log } from "./log.js";
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+export const channels = {
+  async webhook(target, alert) {
+    if (!target.url) throw new Error("webhook target needs a url");
+    const body = JSON.stringify(alert);
+    const headers = { "Content-Type": "application/json", "User-Agent": "ScrippsSurfAlerts/1.0", ...target.headers };
+    if (target.secret) {
+      headers["X-Surf-Signature"] = `sha256=${createHmac("sha256", target.secret).update(body).digest("hex")}`;
+    }
+    const resp = await fetch(target.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    if (!resp.ok) throw new Error(`Webhook answered ${resp.status} ${resp.statusText}`);
+  },
+
+  async webpush(target, alert) {
+    await sendPush(target.subscription, JSON.stringify({
+      title: alert.title,
+      body: alert.body,
+      url: alert.url,
+      // One notification per rule; a newer alert replaces the old one
+      tag: `surf-alert-${alert.rule.id}`,
+    }));
+  },
+};
+
+// Send `alert` to every target. Never throws; resolves one result per target:
+//   { type, ok, error?, gone?, endpoint? }
+// `gone` marks a push subscription the push service has dropped.
+export async function deliver(targets, alert) {
+  return Promise.all(targets.map(async (target) => {
+    const type = target && target.type;
+    const result = { type, ok: false };
+    try {
+      const send = channels[type];
+      if (!send) throw new Error(`Unknown notify type: ${type}`);
+      await send(target, alert);
+      result.ok = true;
+    } catch (e) {
+      result.error = e.message;
+      if (e.gone) Object.assign(result, { gone: true, endpoint: target.subscription.endpoint });
+      log.warn("Alert delivery failed", { rule: alert.rule.id, channel: type, error: e.message });
+    }
+    return result;
+  }));
+}
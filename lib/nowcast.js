@@ -0,0 +1,197 @@
+// lib/nowcast.js
+// Short-term nowcast: hour-by-hour conditions for the next 6–12 hours,
+// extrapolated from the buoy's own recent series. Shared by the API (which
+// builds it) and the widget (which rates each hour).
+//
+//   height, period  weighted linear trend over the last 12 hours, damped so
+//                   it levels off (e-folding DAMPING_HOURS) instead of running away
+//   wind            the station's typical wind for each hour of the (solar)
+//                   day, from up to 45 days of its own readings, plus today's
+//                   departure from it, which fades over WIND_MEMORY_HOURS.
+//                   Without enough history, a generic afternoon sea breeze.
+// Each value comes with an 80% band that widens with lead time: fit scatter,
+// slope uncertainty and a per-field allowance for change the trend can't see.
+// It's persistence with a bit of physics, not a forecast model: a new swell
+// arriving overnight won't show up until the buoy sees it.
+
+import { classifyWind } from "./wind.js";
+
+export const NOWCAST_HOURS = 12;
+
+const TREND_WINDOW_HOURS = 12;
+const DAMPING_HOURS = 6;
+const WIND_MEMORY_HOURS = 4;
+const WIND_NOW_HOURS = 2; // Readings averaged for "wind now"
+const MIN_DIURNAL_DAYS = 5; // Days with readings in every hour of day needed to trust the station's own pattern
+const Z80 = 1.28;
+
+// Unexplained change per hour of lead time, and the floor on fit scatter
+const FIELDS = {
+  waveHeightFt: { drift: 0.1, minScatter: 0.2, min: 0 },
+  periodSec: { drift: 0.3, minScatter: 0.5, min: 2 },
+  windKts: { drift: 1, minScatter: 1, min: 0 },
+};
+
+const HOUR_MS = 3600000;
+const rad = (d) => (d * Math.PI) / 180;
+const deg = (r) => ((r * 180) / Math.PI + 360) % 360;
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// Hour of the solar day at a longitude (sea breezes follow the sun, not the clock)
+export function solarHour(time, lon) {
+  const utcHours = new Date(time).getUTCHours() + new Date(time).getUTCMinutes() / 60;
+  return (((utcHours + lon / 15) % 24) + 24) % 24;
+}
+
+// Weighted least squares of v against t (hours, ≤ 0 = past), newer points
+// weighing more. Returns { level, slope, scatter, slopeErr } or null.
+export function fitTrend(points, windowHours = TREND_WINDOW_HOURS) {
+  if (points.length < 3) return null;
+  const w = points.map((p) => Math.exp(p.t / windowHours)); // t ≤ 0, so older → lighter
+  const sw = w.reduce((a, b) => a + b, 0);
+  const mt = points.reduce((a, p, i) => a + w[i] * p.t, 0) / sw;
+  const mv = points.reduce((a, p, i) => a + w[i] * p.v, 0) / sw;
+  const stt = points.reduce((a, p, i) => a + w[i] * (p.t - mt) ** 2, 0);
+  const slope = stt > 0 ? points.reduce((a, p, i) => a + w[i] * (p.t - mt) * (p.v - mv), 0) / stt : 0;
+  const level = mv - slope * mt;
+  const sse = points.reduce((a, p, i) => a + w[i] * (p.v - (level + slope * p.t)) ** 2, 0);
+  const scatter = Math.sqrt(sse / sw);
+  return { level, slope, scatter, slopeErr: stt > 0 ? scatter / Math.sqrt(stt / sw) / Math.sqrt(points.length) : 0 };
+}
+
+// Damped trend `h` hours ahead, with its 80% band
+function projectTrend(fit, h, cfg) {
+  const value = fit.level + fit.slope * DAMPING_HOURS * (1 - Math.exp(-h / DAMPING_HOURS));
+  const sigma = Math.sqrt(Math.max(fit.scatter, cfg.minScatter) ** 2 + (fit.slopeErr * h) ** 2 + (cfg.drift * h) ** 2);
+  return band(value, Z80 * sigma, cfg);
+}
+
+function band(value, half, cfg) {
+  const v = Math.max(cfg.min, value);
+  return { value: round1(v), low: round1(Math.max(cfg.min, v - half)), high: round1(v + half) };
+}
+
+// Typical wind for each solar hour from the station's history:
+//   [{ kts, sd, dirDeg }] × 24, or null when there isn't enough of it.
+export function diurnalWind(observations, lon) {
+  const bins = Array.from({ length: 24 }, () => ({ speeds: [], days: new Set(), u: 0, v: 0 }));
+  for (const obs of observations) {
+    if (obs.windKts == null || !obs.updatedIso) continue;
+    const bin = bins[Math.floor(solarHour(obs.updatedIso, lon))];
+    bin.speeds.push(obs.windKts);
+    // Distinct days, not readings: 6-minute data fills an hour 10 times a day
+    bin.days.add(obs.updatedIso.slice(0, 10));
+    if (obs.windDirDeg != null) {
+      bin.u += obs.windKts * Math.sin(rad(obs.windDirDeg));
+      bin.v += obs.windKts * Math.cos(rad(obs.windDirDeg));
+    }
+  }
+  if (bins.some((b) => b.days.size < MIN_DIURNAL_DAYS)) return null;
+  return bins.map((b) => {
+    const kts = b.speeds.reduce((a, s) => a + s, 0) / b.speeds.length;
+    const sd = Math.sqrt(b.speeds.reduce((a, s) => a + (s - kts) ** 2, 0) / b.speeds.length);
+    return { kts, sd, dirDeg: b.u || b.v ? deg(Math.atan2(b.u, b.v)) : null };
+  });
+}
+
+// Fallback: light and variable overnight, an onshore breeze peaking mid-afternoon
+function defaultDiurnal(beachFacingDeg) {
+  return Array.from({ length: 24 }, (_, hour) => ({
+    kts: 6 + 4 * Math.cos((2 * Math.PI * (hour - 15)) / 24),
+    sd: 3,
+    dirDeg: hour >= 10 && hour <= 19 ? beachFacingDeg : null,
+  }));
+}
+
+// Blend two directions: weight `w` on `a`
+function blendDir(a, b, w) {
+  if (a == null) return b;
+  if (b == null) return a;
+  const u = w * Math.sin(rad(a)) + (1 - w) * Math.sin(rad(b));
+  const v = w * Math.cos(rad(a)) + (1 - w) * Math.cos(rad(b));
+  return Math.round(deg(Math.atan2(u, v)));
+}
+
+// Build the nowcast from normalized observations (any order, as returned by
+// toObservation; the more history the better the diurnal wind).
+//   station  registry entry (lon, beachFacingDeg)
+//   tideAt   optional (Date) => { heightFt, stage, state } for each hour
+//   hours    how far ahead (default NOWCAST_HOURS)
+// Returns null when there's nothing to extrapolate from.
+export function buildNowcast(observations, station, { tideAt = null, hours = NOWCAST_HOURS } = {}) {
+  const times = observations.map((o) => Date.parse(o.updatedIso)).filter(Number.isFinite);
+  if (times.length === 0) return null;
+  const latestMs = Math.max(...times);
+
+  // Points for one field over the trend window, t in hours (≤ 0)
+  const series = (pick, windowHours = TREND_WINDOW_HOURS) => observations
+    .map((o) => ({ t: (Date.parse(o.updatedIso) - latestMs) / HOUR_MS, v: pick(o) }))
+    .filter((p) => p.v != null && p.t <= 0 && p.t >= -windowHours);
+
+  const heightFit = fitTrend(series((o) => o.waveHeightFt));
+  const periodFit = fitTrend(series((o) => o.dominantPeriodSec ?? o.averagePeriodSec));
+
+  const ownDiurnal = diurnalWind(observations, station.lon);
+  const diurnal = ownDiurnal || defaultDiurnal(station.beachFacingDeg);
+  const windNow = series((o) => o.windKts, WIND_NOW_HOURS);
+  const latestDir = observations.find((o) => Date.parse(o.updatedIso) === latestMs && o.windDirDeg != null);
+  const typicalAt = (ms) => diurnal[Math.floor(solarHour(ms, station.lon))];
+  const windAnomaly = windNow.length
+    ? windNow.reduce((a, p) => a + p.v, 0) / windNow.length - typicalAt(latestMs).kts
+    : null;
+
+  if (!heightFit && !periodFit && windAnomaly == null) return null;
+
+  const out = [];
+  const firstHourMs = Math.ceil((latestMs + 1) / HOUR_MS) * HOUR_MS;
+  for (let ms = firstHourMs; ms <= latestMs + hours * HOUR_MS; ms += HOUR_MS) {
+    const h = (ms - latestMs) / HOUR_MS;
+    const memory = Math.exp(-h / WIND_MEMORY_HOURS);
+    const typical = typicalAt(ms);
+
+    let windKts = null;
+    let windDirDeg = null;
+    if (windAnomaly != null) {
+      const sigma = Math.sqrt((FIELDS.windKts.minScatter * memory) ** 2 + (typical.sd * (1 - memory)) ** 2 + (FIELDS.windKts.drift * h * memory) ** 2);
+      windKts = band(typical.kts + windAnomaly * memory, Z80 * sigma, FIELDS.windKts);
+      windDirDeg = blendDir(latestDir ? latestDir.windDirDeg : null, typical.dirDeg, memory);
+    }
+
+    out.push({
+      time: new Date(ms).toISOString(),
+      waveHeightFt: heightFit ? projectTrend(heightFit, h, FIELDS.waveHeightFt) : null,
+      periodSec: periodFit ? projectTrend(periodFit, h, FIELDS.periodSec) : null,
+      windKts,
+      windDirDeg,
+      windClass: classifyWind(windDirDeg, station.beachFacingDeg),
+      tide: tideAt ? tideAt(new Date(ms)) : null,
+    });
+  }
+
+  return {
+    basedOn: new Date(latestMs).toISOString(),
+    method: "damped trend (waves) + diurnal wind",
+    diurnalSource: ownDiurnal ? "station" : "default",
+    band: 0.8,
+    hours: out,
+  };
+}
+
+// Rating inputs (see conditionsFromResponse in lib/rating.js) for one nowcast
+// hour. Swell direction and gustiness carry over from the latest reading; the
+// swell / wind-wave split doesn't, so those factors sit out.
+export function nowcastConditions(hour, data) {
+  const gustFactor = data.windGustKts && data.windKts ? data.windGustKts / data.windKts : null;
+  const windKts = hour.windKts ? hour.windKts.value : null;
+  return {
+    heightFt: hour.waveHeightFt ? hour.waveHeightFt.value : null,
+    periodSec: hour.periodSec ? hour.periodSec.value : null,
+    windKts,
+    windGustKts: windKts != null && gustFactor ? windKts * gustFactor : null,
+    windDirDeg: hour.windDirDeg,
+    swellDirDeg: data.swellDirDeg,
+    swell: null,
+    windWave: null,
+    tide: hour.tide || null,
+  };
+}
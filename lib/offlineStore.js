@@ -0,0 +1,75 @@
+// lib/offlineStore.js
+// Last known conditions in IndexedDB, so the widget has something to show
+// when the network drops (browser only).
+//
+// Two object stores keyed by station slug:
+//   conditions  { station, data, savedAt }     last good /api/surf/[station] response
+//   history     { station, history, savedAt }  last good /history response
+// Every call resolves (null / false) instead of rejecting when IndexedDB is
+// unavailable, e.g. in private browsing.
+
+const DB_NAME = "scripps-surf";
+const DB_VERSION = 1;
+const STORES = ["conditions", "history"];
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB unavailable"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        STORES.forEach(name => {
+          if (!req.result.objectStoreNames.contains(name)) {
+            req.result.createObjectStore(name, { keyPath: "station" });
+          }
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call try again
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run one request against `store` and resolve with its result.
+async function request(store, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = makeRequest(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function put(store, record) {
+  try {
+    await request(store, "readwrite", s => s.put({ ...record, savedAt: new Date().toISOString() }));
+    return true;
+  } catch (e) {
+    console.warn(`Could not save ${store} offline:`, e);
+    return false;
+  }
+}
+
+async function get(store, stationId) {
+  try {
+    return (await request(store, "readonly", s => s.get(stationId))) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export const saveConditions = (stationId, data) => put("conditions", { station: stationId, data });
+export const loadConditions = (stationId) => get("conditions", stationId);
+
+export const saveHistory = (stationId, history) => put("history", { station: stationId, history });
+export const loadHistory = (stationId) => get("history", stationId);
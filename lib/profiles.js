@@ -0,0 +1,18 @@
+// lib/profiles.js
+// Server-side loader for rating profiles (lib/profiles/<id>.json).
+// The widget fetches the same JSON files over HTTP.
+
+import { readFileSync } from "node:fs";
+
+// Parsed profiles by id
+const cache = new Map();
+
+// Rating profile for a station. Throws if the JSON file is missing or invalid.
+export function loadProfile(station) {
+  const id = station.profile || station.id;
+  if (!cache.has(id)) {
+    const file = new URL(`./profiles/${id}.json`, import.meta.url);
+    cache.set(id, JSON.parse(readFileSync(file, "utf8")));
+  }
+  return cache.get(id);
+}
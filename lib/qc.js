@@ -0,0 +1,195 @@
+// lib/qc.js
+// Quality control for the latest buoy observation, checked against the rows
+// before it. Loosely after NOAA's QARTOD tests:
+//   range     outside physical limits -> bad; outside what's plausible here -> suspect
+//   rate      changed faster than the field can per hour since the last reading
+//   spike     far from the median of the last few hours
+//   flatline  identical for hours (stuck sensor)
+// Each field gets a flag (good / suspect / bad) with the reasons. The value is
+// left in the response either way; consumers decide what to do with it (the
+// rating ignores bad values, the widget greys out suspect ones).
+
+export const QC_FLAGS = ["good", "suspect", "bad"];
+
+// How far back the rate / spike / flat-line checks look
+export const QC_WINDOW_HOURS = 12;
+const SPIKE_WINDOW_HOURS = 3;
+const MIN_SPIKE_SAMPLES = 3;
+const MIN_FLAT_SAMPLES = 4;
+
+// Per-field checks, in the API's units (ft, s, kts, °F, hPa, degrees).
+//   bad / suspect  [min, max] ranges; outside bad is "bad", outside suspect is "suspect"
+//   ratePerHour    largest believable change per hour
+//   spike          { abs, rel }: suspect when |value - median| > max(abs, rel × median)
+//   flatHours      identical for at least this long counts as stuck
+const CHECKS = {
+  waveHeightFt: { bad: [0, 60], suspect: [0, 30], ratePerHour: 6, spike: { abs: 2, rel: 0.75 }, flatHours: 3 },
+  dominantPeriodSec: { bad: [1, 30], suspect: [3, 25] }, // jumps between swell and wind-sea peaks are normal
+  averagePeriodSec: { bad: [1, 30], suspect: [2, 20], spike: { abs: 4, rel: 0.5 }, flatHours: 3 },
+  swellDirDeg: { bad: [0, 360] },
+  windDirDeg: { bad: [0, 360], flatHours: 6 },
+  windKts: { bad: [0, 120], suspect: [0, 60], ratePerHour: 30, spike: { abs: 12, rel: 1 } },
+  windGustKts: { bad: [0, 150], suspect: [0, 75] },
+  airTempF: { bad: [-40, 130], suspect: [20, 110], ratePerHour: 15, spike: { abs: 10, rel: 0 } },
+  waterTempF: { bad: [28, 100], suspect: [45, 85], ratePerHour: 5, spike: { abs: 4, rel: 0 }, flatHours: 12 },
+  barometricPressureHpa: { bad: [870, 1090], suspect: [950, 1050], ratePerHour: 6, spike: { abs: 4, rel: 0 }, flatHours: 3 },
+};
+
+// Fields that are another field in different units share its flag
+const SAME_AS = {
+  waveHeightM: "waveHeightFt",
+  airTempC: "airTempF",
+  waterTempC: "waterTempF",
+};
+
+export const QC_FIELDS = [...Object.keys(CHECKS), ...Object.keys(SAME_AS)];
+
+const worse = (a, b) => (QC_FLAGS.indexOf(b) > QC_FLAGS.indexOf(a) ? b : a);
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const fmt = (v) => (Number.isInteger(v) ? String(v) : v.toFixed(1));
+
+// Earlier readings of one field as { t, v }, newest first, within `hours` of `t0`.
+function history(recent, field, t0, hours) {
+  return recent
+    .map((obs) => ({ t: Date.parse(obs.updatedIso), v: obs[field] }))
+    .filter((p) => p.v != null && Number.isFinite(p.t) && p.t < t0 && t0 - p.t <= hours * 3600000);
+}
+
+// Check one field. Returns { flag, reasons }.
+function checkField(field, cfg, latest, recent) {
+  const value = latest[field];
+  const reasons = [];
+  let flag = "good";
+  const flagAs = (f, reason) => {
+    flag = worse(flag, f);
+    reasons.push(reason);
+  };
+
+  if (value == null) return { flag, reasons };
+
+  if (cfg.bad && (value < cfg.bad[0] || value > cfg.bad[1])) {
+    flagAs("bad", `range: ${fmt(value)} outside ${cfg.bad[0]}–${cfg.bad[1]}`);
+    return { flag, reasons }; // Nothing else is meaningful for an impossible value
+  }
+  if (cfg.suspect && (value < cfg.suspect[0] || value > cfg.suspect[1])) {
+    flagAs("suspect", `range: ${fmt(value)} outside ${cfg.suspect[0]}–${cfg.suspect[1]}`);
+  }
+
+  const t0 = Date.parse(latest.updatedIso);
+  if (!Number.isFinite(t0)) return { flag, reasons };
+  const prior = history(recent, field, t0, QC_WINDOW_HOURS);
+
+  if (cfg.ratePerHour && prior.length > 0) {
+    const prev = prior[0];
+    const hours = (t0 - prev.t) / 3600000;
+    // Short gaps get a full hour's allowance; noise dominates over minutes
+    if (Math.abs(value - prev.v) > cfg.ratePerHour * Math.max(hours, 1)) {
+      flagAs("suspect", `rate: ${fmt(prev.v)} → ${fmt(value)} in ${Math.max(1, Math.round(hours * 60))} min`);
+    }
+  }
+
+  if (cfg.spike) {
+    const window = prior.filter((p) => t0 - p.t <= SPIKE_WINDOW_HOURS * 3600000);
+    if (window.length >= MIN_SPIKE_SAMPLES) {
+      const med = median(window.map((p) => p.v));
+      const limit = Math.max(cfg.spike.abs, cfg.spike.rel * Math.abs(med));
+      if (Math.abs(value - med) > limit) {
+        flagAs("suspect", `spike: ${fmt(value)} vs recent median ${fmt(med)}`);
+      }
+    }
+  }
+
+  if (cfg.flatHours) {
+    // Walk back while readings match the latest; stuck if that spans flatHours
+    let oldestSame = null;
+    let count = 1;
+    for (const p of prior) {
+      if (p.v !== value) break;
+      oldestSame = p;
+      count++;
+    }
+    if (oldestSame && count >= MIN_FLAT_SAMPLES && t0 - oldestSame.t >= cfg.flatHours * 3600000) {
+      flagAs("suspect", `flatline: ${fmt(value)} unchanged for ${Math.round((t0 - oldestSame.t) / 3600000)} h`);
+    }
+  }
+
+  return { flag, reasons };
+}
+
+// Run every check on `latest` (an observation) against `recent` (earlier
+// observations, any order). Returns
+//   { overall, fields: { <field>: { flag, reasons } }, checkedAgainst }
+// where `overall` is the worst flag and `checkedAgainst` the number of earlier
+// rows inside QC_WINDOW_HOURS.
+export function runQc(latest, recent = []) {
+  const fields = {};
+  for (const [field, cfg] of Object.entries(CHECKS)) {
+    fields[field] = checkField(field, cfg, latest, recent);
+  }
+
+  // Gusts can't be lighter than the mean wind
+  if (latest.windGustKts != null && latest.windKts != null && latest.windGustKts < latest.windKts) {
+    const gust = fields.windGustKts;
+    gust.flag = worse(gust.flag, "suspect");
+    gust.reasons.push(`gust ${fmt(latest.windGustKts)} below mean wind ${fmt(latest.windKts)}`);
+  }
+
+  for (const [field, source] of Object.entries(SAME_AS)) {
+    fields[field] = fields[source];
+  }
+
+  const t0 = Date.parse(latest.updatedIso);
+  const checkedAgainst = recent.filter((obs) => {
+    const t = Date.parse(obs.updatedIso);
+    return t < t0 && t0 - t <= QC_WINDOW_HOURS * 3600000;
+  }).length;
+
+  return {
+    overall: Object.values(fields).reduce((acc, f) => worse(acc, f.flag), "good"),
+    fields,
+    checkedAgainst,
+  };
+}
+
+// One `qc` block for a reading stitched from several sources (lib/sources.js):
+// `parts` are [{ qc, fields }], a runQc result and the fields taken from it.
+// Fields no part covers are "good" (unchecked).
+export function combineQc(parts) {
+  const fields = Object.fromEntries(QC_FIELDS.map((f) => [f, { flag: "good", reasons: [] }]));
+  let checkedAgainst = 0;
+  for (const { qc, fields: taken } of parts) {
+    for (const f of taken) {
+      if (qc.fields[f]) fields[f] = qc.fields[f];
+    }
+    checkedAgainst = Math.max(checkedAgainst, qc.checkedAgainst);
+  }
+  return {
+    overall: Object.values(fields).reduce((acc, f) => worse(acc, f.flag), "good"),
+    fields,
+    checkedAgainst,
+  };
+}
+
+// Flag for a field in an API response's `qc` block ("good" when unchecked).
+export function qcFlag(data, field) {
+  const entry = data && data.qc && data.qc.fields && data.qc.fields[field];
+  return entry ? entry.flag : "good";
+}
+
+// Reasons for a field's flag, e.g. ["spike: 9.8 vs recent median 3.1"].
+export function qcReasons(data, field) {
+  const entry = data && data.qc && data.qc.fields && data.qc.fields[field];
+  return entry ? entry.reasons : [];
+}
+
+// The field's value, or null when QC flagged it bad, so scoring and models
+// treat an impossible reading as missing rather than believing it.
+export function usableValue(data, field) {
+  return qcFlag(data, field) === "bad" ? null : data[field];
+}
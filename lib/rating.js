@@ -0,0 +1,188 @@
+// lib/rating.js
+// Declarative surf rating engine shared by the API and the widget.
+//
+// A rating profile (lib/profiles/<break>.json) describes what a break likes:
+//   size          bands of wave height (ft), each with a 0–1 score
+//   period        bands of swell period (s)
+//   swellDirection  score inside / outside the swell window (degrees true)
+//   wind          speed limits, overridden per wind class relative to the beach
+//                 (offshore … onshore) or for absolute direction sectors, with a
+//                 penalty for gusty wind
+//   tide          score per tide stage, plus a height above which it's too full
+//   windWaves     penalty when wind chop outweighs the swell
+// Each factor has a weight. A factor whose inputs are missing is skipped, so
+// it neither helps nor hurts. Stars come from the weighted average score.
+
+import { classifyWind, inSector, isGusty } from "./wind.js";
+import { usableValue } from "./qc.js";
+
+// Highest-scoring band containing `value`. Bands are { min, max, score, label }
+// with open ends allowed; returns { score: 0 } when none match.
+function matchBand(bands, value, minKey, maxKey) {
+  let best = { score: 0, label: null };
+  for (const band of bands || []) {
+    const lo = band[minKey] ?? -Infinity;
+    const hi = band[maxKey] ?? Infinity;
+    if (value >= lo && value <= hi && band.score > best.score) best = band;
+  }
+  return best;
+}
+
+// Score for a wind speed against a list of { maxKts, score } limits
+// (first limit the speed fits under wins).
+function windLimitScore(limits, kts) {
+  const sorted = [...(limits || [])].sort((a, b) => a.maxKts - b.maxKts);
+  const hit = sorted.find((l) => kts <= l.maxKts);
+  return hit ? hit : { score: 0, label: null };
+}
+
+// The swell window used for scoring: the profile's own, else the station's.
+export function swellWindowOf(profile, station) {
+  return (profile && profile.swellDirection && profile.swellDirection.window) ||
+    (station && station.swellWindow) ||
+    null;
+}
+
+// One scorer per factor. Each returns null (skip) or { value, unit, score, note }.
+const FACTORS = {
+  size(cfg, c) {
+    if (c.heightFt == null) return null;
+    const band = matchBand(cfg.bands, c.heightFt, "minFt", "maxFt");
+    return { value: c.heightFt, unit: "ft", score: band.score, note: band.label };
+  },
+
+  period(cfg, c) {
+    if (c.periodSec == null) return null;
+    const band = matchBand(cfg.bands, c.periodSec, "minSec", "maxSec");
+    return { value: c.periodSec, unit: "s", score: band.score, note: band.label };
+  },
+
+  swellDirection(cfg, c, ctx) {
+    const window = cfg.window || ctx.swellWindow;
+    if (c.swellDirDeg == null || !window) return null;
+    const inside = inSector(c.swellDirDeg, window.minDeg, window.maxDeg);
+    return {
+      value: c.swellDirDeg,
+      unit: "°",
+      score: inside ? cfg.inside ?? 1 : cfg.outside ?? 0,
+      note: inside ? "inside swell window" : "outside swell window",
+    };
+  },
+
+  wind(cfg, c, ctx) {
+    if (c.windKts == null) return null;
+    const notes = [];
+
+    // Limits: an explicit direction sector wins, then the wind class, then the defaults
+    const windClass = classifyWind(c.windDirDeg, ctx.beachFacingDeg);
+    let limits = cfg.limits;
+    const sector = (cfg.byDirection || []).find((s) => inSector(c.windDirDeg, s.fromDeg, s.toDeg));
+    if (sector) {
+      limits = sector.limits;
+      if (sector.label) notes.push(sector.label);
+    } else if (windClass && cfg.byClass && cfg.byClass[windClass]) {
+      limits = cfg.byClass[windClass];
+    }
+    if (windClass) notes.unshift(windClass);
+
+    const hit = windLimitScore(limits, c.windKts);
+    if (hit.label) notes.push(hit.label);
+    let score = hit.score;
+
+    const gust = cfg.gust;
+    if (gust && isGusty(c.windKts, c.windGustKts, gust.factor, gust.minDiffKts)) {
+      score *= 1 - (gust.penalty ?? 0.5);
+      notes.push(`gusty to ${c.windGustKts.toFixed(0)} kts`);
+    }
+
+    return { value: c.windKts, unit: "kts", score, note: notes.join(", ") || null };
+  },
+
+  tide(cfg, c) {
+    if (!c.tide || !c.tide.stage) return null;
+    const { heightFt, stage } = c.tide;
+    if (cfg.maxHeightFt != null && heightFt != null && heightFt > cfg.maxHeightFt) {
+      return { value: heightFt, unit: "ft", score: 0, note: "tide too high" };
+    }
+    const score = (cfg.stages && cfg.stages[stage]) ?? 0;
+    return { value: heightFt, unit: "ft", score, note: `${stage} tide` };
+  },
+
+  windWaves(cfg, c) {
+    const { swell, windWave } = c;
+    if (!swell || !windWave || swell.heightFt == null || windWave.heightFt == null) return null;
+    const ratio = swell.heightFt > 0 ? windWave.heightFt / swell.heightFt : Infinity;
+    const choppy = ratio > (cfg.maxRatio ?? 1);
+    return {
+      value: windWave.heightFt,
+      unit: "ft",
+      score: choppy ? 0 : 1,
+      note: choppy ? "wind chop outweighs the swell" : "swell dominates",
+    };
+  },
+};
+
+const FACTOR_LABELS = {
+  size: "Size",
+  period: "Period",
+  swellDirection: "Swell direction",
+  wind: "Wind",
+  tide: "Tide",
+  windWaves: "Wind chop",
+};
+
+// Conditions the engine scores, built from an /api/surf/[station] response.
+// With a real swell / wind-wave split, the swell's own period is scored.
+export function conditionsFromResponse(data) {
+  const swellPeriod = data.swell && data.swell.periodSec;
+  // Readings QC flagged bad count as missing (see lib/qc.js)
+  const value = (field) => usableValue(data, field);
+  return {
+    heightFt: value("waveHeightFt"),
+    periodSec: swellPeriod ?? value("dominantPeriodSec") ?? value("averagePeriodSec"),
+    windKts: value("windKts"),
+    windGustKts: value("windGustKts"),
+    windDirDeg: value("windDirDeg"),
+    swellDirDeg: value("swellDirDeg"),
+    swell: data.swell || null,
+    windWave: data.windWave || null,
+    tide: data.tide || null,
+  };
+}
+
+// Score conditions against a profile.
+// Returns { stars, text, score, factors: [{ factor, label, value, unit, score, weight, points, note }] }
+// where `score` is the 0–1 weighted average and `points` = score × weight.
+export function scoreConditions(conditions, profile, ctx = {}) {
+  const labels = (profile && profile.labels) || {};
+
+  if (conditions.heightFt == null || conditions.periodSec == null) {
+    return { stars: 1, text: "Data incomplete", score: null, factors: [] };
+  }
+
+  const factors = [];
+  for (const [name, scorer] of Object.entries(FACTORS)) {
+    const cfg = profile && profile[name];
+    if (!cfg || !cfg.weight) continue;
+    const result = scorer(cfg, conditions, ctx);
+    if (!result) continue;
+    factors.push({
+      factor: name,
+      label: FACTOR_LABELS[name],
+      ...result,
+      weight: cfg.weight,
+      points: result.score * cfg.weight,
+    });
+  }
+
+  const totalWeight = factors.reduce((sum, f) => sum + f.weight, 0);
+  const score = totalWeight > 0 ? factors.reduce((sum, f) => sum + f.points, 0) / totalWeight : 0;
+  const stars = Math.max(1, Math.min(5, 1 + Math.round(score * 4)));
+
+  return {
+    stars,
+    text: labels[stars] || `${stars} stars`,
+    score,
+    factors,
+  };
+}
@@ -0,0 +1,111 @@
+// lib/sessions.js
+// "Best time to go": the best surfable window in daylight today and tomorrow.
+//
+// Hours come from the nowcast outlook (lib/nowcast.js), each rated with the
+// station's profile like the card. Only hours between civil dawn and civil
+// dusk (lib/sun.js) count. The window is the best-rated hour plus the
+// neighbouring hours that rate nearly as well; an earlier hour wins a tie,
+// since the outlook gets vaguer with lead time.
+
+import { localDate, sunTimes } from "./sun.js";
+import { nowcastConditions } from "./nowcast.js";
+import { scoreConditions } from "./rating.js";
+
+const HOUR_MS = 3600000;
+const MINUTE_MS = 60000;
+const WINDOW_SLACK = 0.05; // Hours within this score of the best join its window
+const MIN_STARS = 2; // Below this a day has no window worth recommending
+const FIRM_LEAD_HOURS = 12; // Beyond this the outlook is marked low confidence
+
+// Short reason for an hour: wind and tide, the things that change within a day
+function describe(hour) {
+  const parts = [];
+  if (hour.windKts != null) {
+    const light = hour.windKts < 5 ? "light " : "";
+    parts.push(`${light}${hour.windClass || "variable"} wind`);
+  }
+  if (hour.tide && hour.tide.stage) parts.push(`${hour.tide.stage} tide ${hour.tide.state || ""}`.trim());
+  return parts.join(", ");
+}
+
+// Best window per day.
+//   data     the conditions response (latest reading, rating, swell direction)
+//   outlook  nowcast hours, as far ahead as available (48 covers tomorrow)
+//   profile  the station's rating profile
+// Returns [{ day: "today" | "tomorrow", ...sunTimes, best, note }] where
+// best is { start, end, stars, text, score, summary, confidence } or null.
+export function bestSessions(data, outlook, profile, station, { now = new Date() } = {}) {
+  const ctx = { swellWindow: station.swellWindow, beachFacingDeg: station.beachFacingDeg };
+  const nowMs = new Date(now).getTime();
+  const latestMs = Date.parse(data.updatedIso);
+
+  // The latest reading stands for the current hour; the outlook covers the rest
+  const hours = [];
+  if (data.rating && Number.isFinite(latestMs) && nowMs - latestMs < 2 * HOUR_MS) {
+    hours.push({
+      ms: Math.max(latestMs, nowMs),
+      rating: data.rating,
+      windKts: data.windKts,
+      windClass: data.windClass,
+      tide: data.tide,
+    });
+  }
+  for (const hour of outlook || []) {
+    const ms = Date.parse(hour.time);
+    if (ms < nowMs) continue;
+    hours.push({
+      ms,
+      rating: scoreConditions(nowcastConditions(hour, data), profile, ctx),
+      windKts: hour.windKts ? hour.windKts.value : null,
+      windClass: hour.windClass,
+      tide: hour.tide,
+    });
+  }
+
+  const today = localDate(nowMs, station.lon);
+  const tomorrow = new Date(Date.parse(today) + 24 * HOUR_MS).toISOString().slice(0, 10);
+
+  return [["today", today], ["tomorrow", tomorrow]].map(([day, date]) => {
+    const sun = sunTimes(date, station.lat, station.lon);
+    const result = { day, ...sun, best: null, note: null };
+    if (!sun.civilDawn) return { ...result, note: "No daylight" };
+
+    const dawn = Date.parse(sun.civilDawn);
+    const dusk = Date.parse(sun.civilDusk);
+    if (dusk <= nowMs) return { ...result, note: "No daylight left" };
+
+    const lit = hours.filter((h) => h.ms >= dawn && h.ms <= dusk && h.rating && h.rating.score != null);
+    if (lit.length === 0) return { ...result, note: "No outlook that far ahead" };
+
+    let bestIdx = 0;
+    lit.forEach((h, i) => {
+      if (h.rating.score > lit[bestIdx].rating.score) bestIdx = i;
+    });
+    const top = lit[bestIdx];
+    if (top.rating.stars < MIN_STARS) return { ...result, note: "Poor all day" };
+
+    // Grow the window through consecutive hours rating nearly as well
+    const close = (h) => h.rating.score >= top.rating.score - WINDOW_SLACK;
+    let first = bestIdx;
+    let last = bestIdx;
+    while (first > 0 && close(lit[first - 1]) && lit[first].ms - lit[first - 1].ms <= HOUR_MS) first--;
+    while (last < lit.length - 1 && close(lit[last + 1]) && lit[last + 1].ms - lit[last].ms <= HOUR_MS) last++;
+
+    // On whole minutes: "now", dawn and dusk carry seconds. Start rounds up and
+    // end down, so the window stays inside them.
+    const startMs = Math.ceil(Math.max(lit[first].ms, dawn) / MINUTE_MS) * MINUTE_MS;
+    const endMs = Math.floor(Math.min(lit[last].ms + HOUR_MS, dusk) / MINUTE_MS) * MINUTE_MS;
+    return {
+      ...result,
+      best: {
+        start: new Date(startMs).toISOString(),
+        end: new Date(endMs).toISOString(),
+        stars: top.rating.stars,
+        text: top.rating.text,
+        score: Math.round(top.rating.score * 100) / 100,
+        summary: describe(top),
+        confidence: top.ms - latestMs > FIRM_LEAD_HOURS * HOUR_MS ? "low" : "normal",
+      },
+    };
+  });
+}
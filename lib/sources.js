@@ -0,0 +1,248 @@
+// lib/sources.js
+// Where a station's observations come from, and how several sources combine.
+//
+// Adapters load one source for a station and resolve
+//   { source, id, usedUrl, observations (newest first, as toObservation), spec, debug }
+// or throw:
+//   ndbc  NOAA NDBC realtime met file (+ .spec swell split)   station.ndbcId
+//   cdip  CDIP wave buoy: waves and sea temperature, no wind    station.cdipId
+//
+// The merge policy lists, per group of fields, the sources to try in order
+// (DEFAULT_POLICY, overridden per station with `sources` in lib/stations.js).
+// A group takes the first source with a reading younger than STALE_AFTER_MS;
+// when none is that fresh, the most recent reading wins. So waves can come
+// from one buoy and wind from another, and a source that is down or stale
+// fails over to the next.
+//
+// SOURCE_PROVIDER=fixture reads recorded responses from fixtures/sources/
+// (or SOURCE_FIXTURE_DIR) instead: ndbc/<id>.txt, ndbc/<id>.spec,
+// cdip/<id>.ascii. A missing file is a failed source. Times are shifted by
+// now − `recordedAt` from the directory's manifest.json, so the recording
+// plays back as if it were live, stale sources included.
+
+import { readFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { fetchSpecText, fetchStationText, parseNdbcText, toObservation } from "./ndbc.js";
+import { fetchCdip, parseAscii, toObservations } from "./cdip.js";
+import { log } from "./log.js";
+
+export const STALE_AFTER_MS = 3 * 3600000;
+
+// Fields that travel together, and the field that says a reading has them
+export const FIELD_GROUPS = {
+  waves: { key: "waveHeightM", fields: ["waveHeightM", "waveHeightFt", "dominantPeriodSec", "averagePeriodSec", "swellDirDeg"] },
+  wind: { key: "windKts", fields: ["windDirDeg", "windKts", "windGustKts"] },
+  pressure: { key: "barometricPressureHpa", fields: ["barometricPressureHpa"] },
+  airTemp: { key: "airTempC", fields: ["airTempC", "airTempF"] },
+  waterTemp: { key: "waterTempC", fields: ["waterTempC", "waterTempF"] },
+};
+
+export const DEFAULT_POLICY = {
+  waves: ["ndbc", "cdip"],
+  wind: ["ndbc"],
+  pressure: ["ndbc"],
+  airTemp: ["ndbc"],
+  waterTemp: ["ndbc", "cdip"],
+};
+
+// ---------- Adapters ----------
+
+function fixtureDir() {
+  return process.env.SOURCE_FIXTURE_DIR
+    ? pathToFileURL(process.env.SOURCE_FIXTURE_DIR.replace(/\/?$/, "/"))
+    : new URL("../fixtures/sources/", import.meta.url);
+}
+
+const useFixtures = () => (process.env.SOURCE_PROVIDER || "live").toLowerCase() === "fixture";
+
+// A recorded file as { text, usedUrl }; null for an optional file that isn't there
+async function readFixture(path, { optional = false } = {}) {
+  const url = new URL(path, fixtureDir());
+  try {
+    return { text: await readFile(url, "utf8"), usedUrl: url.href };
+  } catch (e) {
+    if (optional && e.code === "ENOENT") return null;
+    throw new Error(`${url.href} -> ${e.code || e.message}`);
+  }
+}
+
+export const adapters = {
+  ndbc: {
+    name: "ndbc",
+    idFor: (station) => station.ndbcId,
+    async load(id) {
+      const [met, specFile] = useFixtures()
+        ? [await readFixture(`ndbc/${id}.txt`), await readFixture(`ndbc/${id}.spec`, { optional: true })]
+        : await Promise.all([fetchStationText(id), fetchSpecText(id)]);
+
+      const { headerTokens, idx, dataRows, records, columns, warnings } = parseNdbcText(met.text, met.usedUrl);
+      if (warnings.length) log.warn("NDBC units not converted", { url: met.usedUrl, warnings });
+      log.debug("NDBC header", { url: met.usedUrl, fields: headerTokens });
+      if (records.length === 0) {
+        throw new Error("Missing or invalid timestamp fields in NDBC data for " + met.usedUrl);
+      }
+
+      // Swell / wind-wave split from the latest .spec row, when the station has one
+      let spec = null;
+      if (specFile) {
+        try {
+          spec = parseNdbcText(specFile.text, specFile.usedUrl).records[0] || null;
+        } catch (e) {
+          log.warn("Could not parse spectral summary", { url: specFile.usedUrl, error: e.message });
+        }
+      }
+
+      return {
+        usedUrl: met.usedUrl,
+        observations: records.map(toObservation),
+        spec,
+        debug: {
+          urlsTried: met.urlsTried || [met.usedUrl],
+          spectralUrl: specFile ? specFile.usedUrl : null,
+          // NDBC answered 304 to our conditional request, so the last parse was reused
+          notModified: { standard: !!met.notModified, spectral: specFile ? !!specFile.notModified : null },
+          parseHeader: headerTokens,
+          latestDataRow: dataRows[0],
+          fieldIndices: idx,
+          // Units from the file's second header line, where it has one
+          columnUnits: Object.fromEntries(columns.map((c) => [c.name, c.sourceUnit])),
+        },
+      };
+    },
+  },
+
+  cdip: {
+    name: "cdip",
+    idFor: (station) => station.cdipId,
+    async load(id) {
+      if (useFixtures()) {
+        const file = await readFixture(`cdip/${id}.ascii`);
+        return { usedUrl: file.usedUrl, observations: toObservations(parseAscii(file.text)), spec: null, debug: {} };
+      }
+      const { observations, usedUrl } = await fetchCdip(id);
+      return { usedUrl, observations, spec: null, debug: {} };
+    },
+  },
+};
+
+// Shift a fixture result's times by `ms`
+function shiftTimes(result, ms) {
+  const shift = (iso) => (iso ? new Date(Date.parse(iso) + ms).toISOString() : iso);
+  return {
+    ...result,
+    observations: result.observations.map((o) => ({ ...o, updatedIso: shift(o.updatedIso) })),
+    spec: result.spec && { ...result.spec, time: new Date(result.spec.time.getTime() + ms) },
+  };
+}
+
+async function fixtureShiftMs(now) {
+  const manifest = await readFixture("manifest.json", { optional: true });
+  const recordedAt = manifest ? Date.parse(JSON.parse(manifest.text).recordedAt) : NaN;
+  return Number.isFinite(recordedAt) ? now - recordedAt : 0;
+}
+
+// The station's merge policy: DEFAULT_POLICY with the station's overrides,
+// keeping only sources the station has an id for.
+export function sourcePolicy(station) {
+  const policy = { ...DEFAULT_POLICY, ...(station.sources || {}) };
+  return Object.fromEntries(Object.entries(policy).map(([group, list]) => [
+    group,
+    list.filter((name) => adapters[name] && adapters[name].idFor(station)),
+  ]));
+}
+
+// Load every source the policy mentions, in parallel. Each result is
+// { source, id, ok, error?, ...adapter result }; nothing throws.
+export async function loadSources(station, { now = Date.now() } = {}) {
+  const names = [...new Set(Object.values(sourcePolicy(station)).flat())];
+  const shiftMs = useFixtures() ? await fixtureShiftMs(now) : 0;
+  return Promise.all(names.map(async (name) => {
+    const id = adapters[name].idFor(station);
+    try {
+      const result = await adapters[name].load(id);
+      return { source: name, id, ok: true, ...(shiftMs ? shiftTimes(result, shiftMs) : result) };
+    } catch (e) {
+      log.warn("Source failed", { source: name, id, error: e.message });
+      return { source: name, id, ok: false, error: e.message, observations: [] };
+    }
+  }));
+}
+
+// ---------- Merge ----------
+
+// Newest reading with the group's key field
+const latestWith = (observations, key) => observations.find((o) => o[key] != null) || null;
+
+// Combine loaded sources under the policy. Returns
+//   groups        { <group>: { source, id, observation, series, stale } | null }
+//   observation   the latest reading, each group from its source; updatedIso
+//                 is the newest of them
+//   series        every reading, newest first, each group from its source
+//   fieldSources  { <field>: source } for every field that has one
+//   sources       { <source>: { id, status: ok | stale | failed | unused, updatedIso, url, error } }
+// Throws when no group found a reading.
+export function mergeSources(results, policy, { now = Date.now() } = {}) {
+  const bySource = Object.fromEntries(results.map((r) => [r.source, r]));
+  const groups = {};
+
+  for (const [group, { key }] of Object.entries(FIELD_GROUPS)) {
+    const candidates = (policy[group] || [])
+      .map((name) => bySource[name])
+      .filter((r) => r && r.ok)
+      .map((r) => ({ result: r, observation: latestWith(r.observations, key) }))
+      .filter((c) => c.observation);
+    const age = (c) => now - Date.parse(c.observation.updatedIso);
+    const pick = candidates.find((c) => age(c) <= STALE_AFTER_MS) ||
+      [...candidates].sort((a, b) => age(a) - age(b))[0];
+    groups[group] = pick ? {
+      source: pick.result.source,
+      id: pick.result.id,
+      observation: pick.observation,
+      series: pick.result.observations,
+      stale: age(pick) > STALE_AFTER_MS,
+    } : null;
+  }
+
+  const chosen = Object.entries(groups).filter(([, g]) => g);
+  if (chosen.length === 0) {
+    const errors = results.map((r) => `${r.source} ${r.id}: ${r.error || "no readings"}`);
+    throw new Error("No data from any source: " + errors.join(" | "));
+  }
+
+  const empty = () => Object.fromEntries(Object.values(FIELD_GROUPS).flatMap((g) => g.fields.map((f) => [f, null])));
+  const observation = { updatedIso: null, ...empty() };
+  const fieldSources = {};
+  const byTime = new Map();
+  for (const [group, g] of chosen) {
+    const { fields } = FIELD_GROUPS[group];
+    for (const f of fields) {
+      observation[f] = g.observation[f];
+      fieldSources[f] = g.source;
+    }
+    if (!observation.updatedIso || g.observation.updatedIso > observation.updatedIso) {
+      observation.updatedIso = g.observation.updatedIso;
+    }
+    for (const o of g.series) {
+      if (!byTime.has(o.updatedIso)) byTime.set(o.updatedIso, { updatedIso: o.updatedIso, ...empty() });
+      const entry = byTime.get(o.updatedIso);
+      for (const f of fields) entry[f] = o[f];
+    }
+  }
+  const series = [...byTime.values()].sort((a, b) => (a.updatedIso < b.updatedIso ? 1 : -1));
+
+  const sources = Object.fromEntries(results.map((r) => {
+    const used = chosen.filter(([, g]) => g.source === r.source);
+    const latest = r.observations[0];
+    const status = !r.ok ? "failed" : used.length === 0 ? "unused" : used.every(([, g]) => g.stale) ? "stale" : "ok";
+    return [r.source, {
+      id: r.id,
+      status,
+      groups: used.map(([group]) => group),
+      updatedIso: latest ? latest.updatedIso : null,
+      url: r.usedUrl || null,
+      ...(r.error && { error: r.error }),
+    }];
+  }));
+
+  return { groups, observation, series, fieldSources, sources };
+}
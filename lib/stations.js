@@ -0,0 +1,100 @@
+// lib/stations.js
+// Station registry shared by the API routes and the widget.
+//
+// Each entry is keyed by the slug used in /api/surf/[station] and ?station=.
+//   ndbcId          NOAA NDBC station/buoy identifier
+//   cdipId          CDIP wave buoy nearby, a second source for waves and
+//                   water temperature (optional)
+//   sources         Merge policy overrides: source order per field group,
+//                   e.g. { waves: ["cdip", "ndbc"] } (see lib/sources.js)
+//   lat, lon        Location of the break (decimal degrees)
+//   beachFacingDeg  Direction the beach faces, degrees true (the way you look out to sea)
+//   swellWindow     Preferred swell directions, degrees true (min/max, clockwise)
+//   tideStation     NOAA CO-OPS tide gauge used for predictions
+//   profile         Rating profile in lib/profiles/<profile>.json
+//   surfModel       Breaking-height coefficients (see lib/surfModel.js):
+//                   calibration multiplier, exposure window, shadowFactor outside it
+
+import { inSector } from "./wind.js";
+
+export const STATIONS = {
+  scripps: {
+    id: "scripps",
+    name: "Scripps Pier",
+    location: "La Jolla, CA",
+    ndbcId: "LJPC1",
+    cdipId: "201", // Scripps Nearshore
+    lat: 32.8669,
+    lon: -117.2571,
+    beachFacingDeg: 265,
+    swellWindow: { minDeg: 215, maxDeg: 320 },
+    tideStation: "9410230", // La Jolla (Scripps Pier)
+    profile: "scripps",
+    surfModel: { calibration: 0.85, exposure: { minDeg: 225, maxDeg: 320 }, shadowFactor: 0.35 }, // Point La Jolla shadows south swell
+  },
+  "torrey-pines": {
+    id: "torrey-pines",
+    name: "Torrey Pines",
+    location: "San Diego, CA",
+    ndbcId: "46225",
+    cdipId: "100", // Torrey Pines Outer, the same buoy NDBC relays as 46225
+    sources: { waves: ["cdip", "ndbc"], waterTemp: ["cdip", "ndbc"] }, // Straight from CDIP is fresher
+    lat: 32.9330,
+    lon: -117.2610,
+    beachFacingDeg: 260,
+    swellWindow: { minDeg: 200, maxDeg: 300 },
+    tideStation: "9410230",
+    profile: "torrey-pines",
+    surfModel: { calibration: 1, exposure: { minDeg: 190, maxDeg: 310 }, shadowFactor: 0.4 },
+  },
+  "mission-beach": {
+    id: "mission-beach",
+    name: "Mission Beach",
+    location: "San Diego, CA",
+    ndbcId: "46258",
+    cdipId: "220", // Mission Bay West
+    lat: 32.7700,
+    lon: -117.2530,
+    beachFacingDeg: 255,
+    swellWindow: { minDeg: 190, maxDeg: 290 },
+    tideStation: "9410230",
+    profile: "mission-beach",
+    surfModel: { calibration: 0.9, exposure: { minDeg: 195, maxDeg: 295 }, shadowFactor: 0.35 }, // Point Loma blocks NW
+  },
+  oceanside: {
+    id: "oceanside",
+    name: "Oceanside",
+    location: "Oceanside, CA",
+    ndbcId: "46224",
+    cdipId: "045", // Oceanside Offshore
+    lat: 33.1950,
+    lon: -117.3850,
+    beachFacingDeg: 245,
+    swellWindow: { minDeg: 185, maxDeg: 290 },
+    tideStation: "9410230",
+    profile: "oceanside",
+    surfModel: { calibration: 1, exposure: { minDeg: 180, maxDeg: 300 }, shadowFactor: 0.4 },
+  },
+};
+
+export const DEFAULT_STATION = "scripps";
+
+// Look up a station by slug (case-insensitive). Returns null when unknown,
+// including for Object.prototype names such as "constructor".
+export function getStation(slug) {
+  if (!slug) return null;
+  const key = String(slug).toLowerCase();
+  return Object.hasOwn(STATIONS, key) ? STATIONS[key] : null;
+}
+
+// "Scripps Pier, La Jolla, CA"
+export function stationDisplayName(station) {
+  return `${station.name}, ${station.location}`;
+}
+
+// True when a direction falls inside the station's preferred swell window.
+// Handles windows that wrap through north (e.g. 300–20°).
+export function inSwellWindow(station, dirDeg) {
+  if (!station || !station.swellWindow) return false;
+  return inSector(dirDeg, station.swellWindow.minDeg, station.swellWindow.maxDeg);
+}
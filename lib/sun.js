@@ -0,0 +1,68 @@
+// lib/sun.js
+// Sunrise, sunset and civil twilight from coordinates, computed locally
+// (NOAA's general solar position equations; good to a minute or two at
+// these latitudes). Shared by the API and the widget.
+
+const DAY_MS = 86400000;
+const SUNRISE_ZENITH = 90.833; // Refraction + the sun's radius
+const CIVIL_ZENITH = 96; // Sun 6° below the horizon: light enough to surf
+
+const rad = (d) => (d * Math.PI) / 180;
+const deg = (r) => (r * 180) / Math.PI;
+
+// Local (mean solar) calendar date at a longitude as "YYYY-MM-DD"; close
+// enough to the clock date for "today" and "tomorrow" at a beach.
+export function localDate(time, lon) {
+  return new Date(new Date(time).getTime() + (lon / 15) * 3600000).toISOString().slice(0, 10);
+}
+
+// Equation of time (minutes) and declination (radians) at `ms`
+function solarPosition(ms) {
+  const start = Date.UTC(new Date(ms).getUTCFullYear(), 0, 1);
+  const g = (2 * Math.PI / 365) * ((ms - start) / DAY_MS);
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+    - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const decl = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+    - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+    - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+  return { eqTime, decl };
+}
+
+// Morning and evening times (ms) the sun crosses `zenith`, or null in polar day/night
+function crossing(dayStartMs, lat, lon, zenith) {
+  // Evaluate at local solar noon
+  const { eqTime, decl } = solarPosition(dayStartMs + (720 - 4 * lon) * 60000);
+  const cosHa = Math.cos(rad(zenith)) / (Math.cos(rad(lat)) * Math.cos(decl)) - Math.tan(rad(lat)) * Math.tan(decl);
+  if (cosHa < -1 || cosHa > 1) return null;
+  const ha = deg(Math.acos(cosHa));
+  return {
+    am: dayStartMs + (720 - 4 * (lon + ha) - eqTime) * 60000,
+    pm: dayStartMs + (720 - 4 * (lon - ha) - eqTime) * 60000,
+  };
+}
+
+// Daylight for a local date ("YYYY-MM-DD") at lat/lon:
+//   { date, civilDawn, sunrise, solarNoon, sunset, civilDusk } as ISO strings
+// (null for events that don't happen that day).
+export function sunTimes(date, lat, lon) {
+  const dayStartMs = Date.parse(`${date}T00:00:00Z`);
+  const sun = crossing(dayStartMs, lat, lon, SUNRISE_ZENITH);
+  const civil = crossing(dayStartMs, lat, lon, CIVIL_ZENITH);
+  const { eqTime } = solarPosition(dayStartMs + (720 - 4 * lon) * 60000);
+  const iso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+  return {
+    date,
+    civilDawn: iso(civil && civil.am),
+    sunrise: iso(sun && sun.am),
+    solarNoon: iso(dayStartMs + (720 - 4 * lon - eqTime) * 60000),
+    sunset: iso(sun && sun.pm),
+    civilDusk: iso(civil && civil.pm),
+  };
+}
+
+// True when `time` falls between civil dawn and civil dusk at lat/lon
+export function isDaylight(time, lat, lon) {
+  const t = sunTimes(localDate(time, lon), lat, lon);
+  const ms = new Date(time).getTime();
+  return t.civilDawn != null && ms >= Date.parse(t.civilDawn) && ms <= Date.parse(t.civilDusk);
+}
@@ -0,0 +1,93 @@
+// lib/surfModel.js
+// Nearshore surf height estimate, shared by the API and the widget.
+//
+// Turns the buoy's significant height, period and direction into a breaking
+// face-height range at the spot:
+//   1. Shoaling to breaking: Komar & Gaughan (1972), Hb = 0.39 g^(1/5) (T H0²)^(2/5).
+//      Long-period swell carries more energy per metre of height, so it
+//      breaks bigger than the same buoy reading of short-period swell.
+//   2. Refraction: swell arriving at an angle θ to the beach normal spreads
+//      along the coast; the height scales by sqrt(cos θ).
+//   3. Exposure: directions outside the station's exposure window are
+//      shadowed by headlands/islands and scaled by `shadowFactor`.
+//   4. Calibration: a per-station multiplier for local bathymetry (reefs,
+//      canyons) tuned against observed surf.
+// The range spans typical waves to sets.
+
+import { usableValue } from "./qc.js";
+import { angleBetween, inSector } from "./wind.js";
+
+const G = 9.81;
+const FT_PER_M = 3.28084;
+
+// Typical waves to set waves, relative to the breaking significant height
+const RANGE_LOW = 0.8;
+const RANGE_HIGH = 1.25;
+
+export const SURF_MODEL_METHOD = "shoaling + refraction model";
+
+export const DEFAULT_SURF_MODEL = {
+  calibration: 1,
+  exposure: null, // { minDeg, maxDeg } — null means fully exposed
+  shadowFactor: 0.35,
+};
+
+// Breaking height (m) from deep-water significant height (m) and period (s).
+export function breakingHeightM(heightM, periodSec) {
+  return 0.39 * Math.pow(G, 0.2) * Math.pow(periodSec * heightM * heightM, 0.4);
+}
+
+// Estimate the breaking face-height range at a station.
+//   heightFt, periodSec, dirDeg  buoy significant height, period, direction
+//   station                      registry entry (beachFacingDeg, surfModel)
+// Returns { minFt, maxFt, breakingFt, method, factors } or null when height or
+// period is missing.
+export function estimateSurfHeight({ heightFt, periodSec, dirDeg }, station = {}) {
+  if (heightFt == null || periodSec == null || heightFt <= 0 || periodSec <= 0) return null;
+
+  const model = { ...DEFAULT_SURF_MODEL, ...(station.surfModel || {}) };
+  const heightM = heightFt / FT_PER_M;
+
+  const shoaledM = breakingHeightM(heightM, periodSec);
+  const shoaling = shoaledM / heightM;
+
+  // Without a direction, assume the swell lines up with the beach
+  let refraction = 1;
+  let exposure = 1;
+  if (dirDeg != null) {
+    if (station.beachFacingDeg != null) {
+      const theta = Math.min(angleBetween(dirDeg, station.beachFacingDeg), 90);
+      // Floor keeps glancing swells from vanishing entirely; some always wraps in
+      refraction = Math.max(0.3, Math.sqrt(Math.cos((theta * Math.PI) / 180)));
+    }
+    if (model.exposure && !inSector(dirDeg, model.exposure.minDeg, model.exposure.maxDeg)) {
+      exposure = model.shadowFactor;
+    }
+  }
+
+  const breakingFt = shoaledM * FT_PER_M * refraction * exposure * model.calibration;
+
+  return {
+    minFt: breakingFt * RANGE_LOW,
+    maxFt: breakingFt * RANGE_HIGH,
+    breakingFt,
+    method: SURF_MODEL_METHOD,
+    factors: {
+      shoaling,
+      refraction,
+      exposure,
+      calibration: model.calibration,
+    },
+  };
+}
+
+// Surf height for an /api/surf/[station] response: the swell component's
+// period and direction when the spectral split is available.
+export function surfHeightFromResponse(data, station) {
+  const swell = data.swell;
+  return estimateSurfHeight({
+    heightFt: usableValue(data, "waveHeightFt"),
+    periodSec: (swell && swell.periodSec) ?? usableValue(data, "dominantPeriodSec") ?? usableValue(data, "averagePeriodSec"),
+    dirDeg: (swell && swell.dirDeg) ?? usableValue(data, "swellDirDeg"),
+  }, station);
+}
@@ -0,0 +1,192 @@
+// lib/tides.js
+// Tide predictions for a station's tide gauge: highs/lows, an hourly curve and
+// a "right now" summary (height, rising/falling, stage, next high/low).
+//
+// Predictions come from a pluggable provider selected with TIDE_PROVIDER:
+//   noaa     NOAA CO-OPS predictions API (default)
+//   fixture  fixtures/tides/<gauge>.json, same JSON shape, for offline testing
+// Providers return high/low events only; the hourly curve is interpolated.
+
+import { readFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { fetchWithTimeout } from "./ndbc.js";
+
+const TIDE_CACHE_TTL = 6 * 60 * 60 * 1000; // Predictions barely change; 6 hours
+const LUNAR_DAY_MS = 24 * 3600000 + 50 * 60000 + 28000; // ~24h 50m 28s
+
+// In-memory cache per gauge -> { events, timestamp }
+const cache = new Map();
+
+// "2026-10-19 02:17" (GMT) -> Date
+function parseCoopsTime(t) {
+  return new Date(`${String(t).replace(" ", "T")}:00Z`);
+}
+
+// CO-OPS JSON ({ predictions: [{ t, v, type }] }) -> sorted high/low events
+function parseCoopsPredictions(json) {
+  if (json && json.error) {
+    throw new Error(`Tide provider error: ${json.error.message || JSON.stringify(json.error)}`);
+  }
+  if (!json || !Array.isArray(json.predictions)) {
+    throw new Error("Tide provider returned no predictions");
+  }
+  return json.predictions
+    .map((p) => ({
+      time: parseCoopsTime(p.t),
+      heightFt: Number(p.v),
+      type: p.type === "H" ? "high" : "low",
+    }))
+    .filter((e) => Number.isFinite(e.heightFt) && !Number.isNaN(e.time.getTime()))
+    .sort((a, b) => a.time - b.time);
+}
+
+// yyyymmdd in UTC, as CO-OPS expects
+function coopsDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+export const providers = {
+  noaa: {
+    name: "noaa",
+    async getEvents(gauge, begin, end) {
+      const params = new URLSearchParams({
+        product: "predictions",
+        application: "scripps-surf-widget",
+        begin_date: coopsDate(begin),
+        end_date: coopsDate(end),
+        datum: "MLLW",
+        station: gauge,
+        time_zone: "gmt",
+        units: "english",
+        interval: "hilo",
+        format: "json",
+      });
+      const url = `https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?${params}`;
+      const resp = await fetchWithTimeout(url);
+      if (!resp || !resp.ok) {
+        throw new Error(`${url} -> ${resp ? resp.status + " " + resp.statusText : "no response"}`);
+      }
+      return parseCoopsPredictions(await resp.json());
+    },
+  },
+
+  // Recorded predictions. The fixture is shifted by whole lunar days so it
+  // always covers the requested window, which keeps offline runs realistic.
+  fixture: {
+    name: "fixture",
+    async getEvents(gauge, begin, end) {
+      const dir = process.env.TIDE_FIXTURE_DIR
+        ? pathToFileURL(process.env.TIDE_FIXTURE_DIR.replace(/\/?$/, "/"))
+        : new URL("../fixtures/tides/", import.meta.url);
+      const json = JSON.parse(await readFile(new URL(`${gauge}.json`, dir), "utf8"));
+      const events = parseCoopsPredictions(json);
+      if (events.length === 0) return events;
+
+      const shift = Math.round((begin - events[0].time) / LUNAR_DAY_MS) * LUNAR_DAY_MS;
+      const shifted = events.map((e) => ({ ...e, time: new Date(e.time.getTime() + shift) }));
+      return shifted.filter((e) => e.time <= end);
+    },
+  },
+};
+
+export function getTideProvider() {
+  const name = (process.env.TIDE_PROVIDER || "noaa").toLowerCase();
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown TIDE_PROVIDER: ${name}`);
+  return provider;
+}
+
+// High/low events from a day before `now` to two days after, cached per gauge.
+async function loadEvents(gauge, now) {
+  const cached = cache.get(gauge);
+  if (cached && Date.now() - cached.timestamp < TIDE_CACHE_TTL) {
+    const first = cached.events[0];
+    const last = cached.events[cached.events.length - 1];
+    if (first && last && first.time < now && last.time - now > 24 * 3600000) {
+      return cached.events;
+    }
+  }
+
+  const provider = getTideProvider();
+  const begin = new Date(now.getTime() - 24 * 3600000);
+  const end = new Date(now.getTime() + 48 * 3600000);
+  const events = await provider.getEvents(gauge, begin, end);
+  cache.set(gauge, { events, timestamp: Date.now() });
+  return events;
+}
+
+// Height at `time` by cosine interpolation between the surrounding high and low
+// (the standard "rule of twelfths"-shaped curve). Null outside the events' range.
+export function tideHeightAt(events, time) {
+  const t = time.getTime();
+  for (let i = 0; i < events.length - 1; i++) {
+    const a = events[i];
+    const b = events[i + 1];
+    if (t >= a.time.getTime() && t <= b.time.getTime()) {
+      const frac = (t - a.time) / (b.time - a.time);
+      return a.heightFt + (b.heightFt - a.heightFt) * (1 - Math.cos(Math.PI * frac)) / 2;
+    }
+  }
+  return null;
+}
+
+// Hourly points between `from` and `to`, on the hour.
+export function tideCurve(events, from, to) {
+  const curve = [];
+  const start = Math.ceil(from.getTime() / 3600000) * 3600000;
+  for (let t = start; t <= to.getTime(); t += 3600000) {
+    const heightFt = tideHeightAt(events, new Date(t));
+    if (heightFt != null) curve.push({ time: new Date(t).toISOString(), heightFt });
+  }
+  return curve;
+}
+
+const eventJson = (e) => e && { time: e.time.toISOString(), heightFt: e.heightFt, type: e.type };
+
+// Tide state at `now` from a sorted list of high/low events.
+//   state  rising | falling
+//   stage  low | mid | high — where `now` sits between the last and next extreme
+export function summarizeTide(events, now = new Date()) {
+  const prevIdx = events.findLastIndex((e) => e.time <= now);
+  const previous = prevIdx >= 0 ? events[prevIdx] : null;
+  const next = events[prevIdx + 1] || null;
+  if (!previous || !next) return null;
+
+  const heightFt = tideHeightAt(events, now);
+  const state = next.heightFt > previous.heightFt ? "rising" : "falling";
+
+  const lo = Math.min(previous.heightFt, next.heightFt);
+  const hi = Math.max(previous.heightFt, next.heightFt);
+  const position = hi > lo ? (heightFt - lo) / (hi - lo) : 0.5;
+  const stage = position < 1 / 3 ? "low" : position > 2 / 3 ? "high" : "mid";
+
+  const upcoming = events.filter((e) => e.time > now);
+  return {
+    heightFt,
+    state,
+    stage,
+    previous: eventJson(previous),
+    nextHigh: eventJson(upcoming.find((e) => e.type === "high")),
+    nextLow: eventJson(upcoming.find((e) => e.type === "low")),
+  };
+}
+
+// Everything the API returns for a station's tide gauge. `curveHours` controls
+// how far ahead the hourly curve runs (it always starts 6 hours back).
+export async function getTides(station, { now = new Date(), curveHours = 24 } = {}) {
+  if (!station.tideStation) return null;
+
+  const events = await loadEvents(station.tideStation, now);
+  const summary = summarizeTide(events, now);
+  if (!summary) return null;
+
+  const until = new Date(now.getTime() + curveHours * 3600000);
+  return {
+    gauge: station.tideStation,
+    provider: getTideProvider().name,
+    datum: "MLLW",
+    ...summary,
+    events: events.filter((e) => e.time > now && e.time <= until).map(eventJson),
+    curve: tideCurve(events, new Date(now.getTime() - 6 * 3600000), until),
+  };
+}
@@ -0,0 +1,125 @@
+// lib/units.js
+// Unit preferences and conversions, shared by the API and the widget.
+//
+// Values arrive in the API's base units (ft, kts, °F) and are converted for
+// display. A preference is { system, height, speed, temp }; the presets below
+// set all three and any one can be overridden (e.g. metric with m/s wind).
+
+export const UNIT_PRESETS = {
+  imperial: { height: "ft", speed: "kts", temp: "F" },
+  metric: { height: "m", speed: "kmh", temp: "C" },
+  mixed: { height: "ft", speed: "kmh", temp: "C" },
+};
+
+export const UNIT_OPTIONS = {
+  height: ["ft", "m"],
+  speed: ["kts", "kmh", "ms", "mph"],
+  temp: ["F", "C"],
+};
+
+export const UNIT_LABELS = {
+  ft: "ft",
+  m: "m",
+  kts: "kts",
+  kmh: "km/h",
+  ms: "m/s",
+  mph: "mph",
+  F: "°F",
+  C: "°C",
+};
+
+export const DEFAULT_UNIT_SYSTEM = "imperial";
+
+// Build a full preference from a preset name plus optional per-dimension
+// overrides. Unknown values (including Object.prototype names such as
+// "constructor") fall back to the preset's.
+export function resolveUnits({ system, height, speed, temp } = {}) {
+  const name = Object.hasOwn(UNIT_PRESETS, system) ? system : DEFAULT_UNIT_SYSTEM;
+  const preset = UNIT_PRESETS[name];
+  const pick = (dim, value) => (UNIT_OPTIONS[dim].includes(value) ? value : preset[dim]);
+  return {
+    system: name,
+    height: pick("height", height),
+    speed: pick("speed", speed),
+    temp: pick("temp", temp),
+  };
+}
+
+const SPEED_FROM_KTS = { kts: 1, kmh: 1.852, ms: 0.514444, mph: 1.150779 };
+
+// Convert a base-unit value of `kind` (height in ft, speed in kts, temp in °F).
+// `period` and unknown kinds pass through unchanged.
+export function convert(kind, value, units) {
+  if (value == null) return null;
+  if (kind === "height") return units.height === "m" ? value / 3.28084 : value;
+  if (kind === "speed") return value * SPEED_FROM_KTS[units.speed];
+  if (kind === "temp") return units.temp === "C" ? ((value - 32) * 5) / 9 : value;
+  return value;
+}
+
+// Convert a difference (e.g. a trend threshold); temperatures skip the offset.
+export function convertDelta(kind, delta, units) {
+  if (delta == null) return null;
+  if (kind === "temp") return units.temp === "C" ? (delta * 5) / 9 : delta;
+  return convert(kind, delta, units);
+}
+
+export function unitLabel(kind, units) {
+  if (kind === "period") return "s";
+  return UNIT_LABELS[units[kind]] || "";
+}
+
+// Temperatures read "19.5 °C"; everything else "1.2 m", "14 kts".
+export function formatValue(kind, value, units, digits = 1) {
+  const label = unitLabel(kind, units);
+  const converted = convert(kind, value, units);
+  return converted == null ? `-- ${label}` : `${converted.toFixed(digits)} ${label}`;
+}
+
+// "1.2–1.8 m"
+export function formatRange(kind, min, max, units, digits = 1) {
+  const lo = convert(kind, min, units);
+  const hi = convert(kind, max, units);
+  const label = unitLabel(kind, units);
+  if (lo == null || hi == null) return `-- ${label}`;
+  return `${lo.toFixed(digits)}–${hi.toFixed(digits)} ${label}`;
+}
+
+// Unit kind for the base units used in API fields and rating factors.
+export function kindOfUnit(unit) {
+  if (unit === "ft") return "height";
+  if (unit === "kts") return "speed";
+  if (unit === "°F" || unit === "F") return "temp";
+  if (unit === "s") return "period";
+  return null;
+}
+
+// Converted, display-ready copies of the headline values in an
+// /api/surf/[station] response: { value, unit, text } each, or null.
+// surfHeight is a range: `value` is the breaking height, plus `min` / `max`.
+export function displayValues(data, units) {
+  const item = (kind, value, digits = 1) => value == null ? null : {
+    value: convert(kind, value, units),
+    unit: unitLabel(kind, units),
+    text: formatValue(kind, value, units, digits),
+  };
+  const surf = data.surfHeight;
+  return {
+    waveHeight: item("height", data.waveHeightFt),
+    swellHeight: data.swell ? item("height", data.swell.heightFt) : null,
+    windWaveHeight: data.windWave ? item("height", data.windWave.heightFt) : null,
+    windSpeed: item("speed", data.windKts),
+    windGust: item("speed", data.windGustKts, 0),
+    waterTemp: item("temp", data.waterTempF),
+    airTemp: item("temp", data.airTempF),
+    feelsLike: item("temp", data.feelsLikeF, 0),
+    tideHeight: data.tide ? item("height", data.tide.heightFt) : null,
+    surfHeight: surf ? {
+      value: convert("height", surf.breakingFt, units),
+      min: convert("height", surf.minFt, units),
+      max: convert("height", surf.maxFt, units),
+      unit: unitLabel("height", units),
+      text: formatRange("height", surf.minFt, surf.maxFt, units),
+    } : null,
+  };
+}
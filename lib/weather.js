@@ -0,0 +1,173 @@
+// lib/weather.js
+// Weather on the way, from the recent readings: the 3-hour pressure tendency
+// as forecasters report it, and the wind and pressure patterns that come with
+// an approaching front or a Santa Ana.
+//
+// Tendency classes follow the WMO / Met Office wording for the change over
+// three hours: steady under 0.1 hPa, slowly 0.1 to 1.5, (plain) 1.6 to 3.5,
+// quickly 3.6 to 6, very rapidly beyond. Each bound belongs to its band.
+
+import { inSector } from "./wind.js";
+
+export const TENDENCY_HOURS = 3;
+// How far from exactly 3 hours back the comparison reading may be
+const MATCH_TOLERANCE_MIN = 45;
+
+// Upper bounds, inclusive, for the change rounded to 0.1 hPa as reported
+const RATES = [
+  { maxHpa: 0, rate: "steady" },
+  { maxHpa: 1.5, rate: "slowly" },
+  { maxHpa: 3.5, rate: null },
+  { maxHpa: 6, rate: "quickly" },
+  { maxHpa: Infinity, rate: "very rapidly" },
+];
+
+// Falling at least this much in 3 hours (hPa) is worth watching; at the
+// "quickly" rate it's enough on its own
+export const FRONT_FALL_HPA = 1.6;
+const FRONT_QUICK_HPA = 3.6;
+// Southerly winds ahead of a front, westerly to northwesterly behind it
+const PREFRONTAL_DIRS = { minDeg: 135, maxDeg: 247.5 };
+const PREFRONTAL_KTS = 8;
+const POSTFRONTAL_DIRS = { minDeg: 247.5, maxDeg: 337.5 };
+// Santa Ana: offshore from the northeast to east, at least this strong
+const SANTA_ANA_DIRS = { minDeg: 0, maxDeg: 110 };
+const SANTA_ANA_KTS = 8;
+const SANTA_ANA_GUST_KTS = 15;
+// Wind building this much in 3 hours (kts)
+const WIND_RISE_KTS = 5;
+const GUST_RISE_KTS = 8;
+
+const inDirs = (deg, { minDeg, maxDeg }) => inSector(deg, minDeg, maxDeg);
+const round = (v, digits = 1) => (v == null ? null : Number(v.toFixed(digits)));
+const signed = (v) => (Math.abs(v) < 0.05 ? "0.0" : v > 0 ? `+${v.toFixed(1)}` : v.toFixed(1).replace("-", "−"));
+// "falling quickly", "rising", "steady"
+const tendencyWords = ({ tendency, rate }) => (rate && rate !== "steady" ? `${tendency} ${rate}` : tendency);
+
+// Reading of `field` nearest to `hours` before `t0`, within the tolerance
+function valueAgo(series, field, t0, hours = TENDENCY_HOURS) {
+  const target = t0 - hours * 3600000;
+  let best = null;
+  for (const o of series) {
+    if (o[field] == null) continue;
+    const off = Math.abs(Date.parse(o.updatedIso) - target);
+    if (off <= MATCH_TOLERANCE_MIN * 60000 && (!best || off < best.off)) best = { off, obs: o };
+  }
+  return best ? best.obs : null;
+}
+
+// Readings within the last `hours` of `t0`, newest first
+function recent(series, t0, hours = TENDENCY_HOURS) {
+  return series.filter((o) => {
+    const t = Date.parse(o.updatedIso);
+    return t <= t0 && t0 - t <= hours * 3600000;
+  });
+}
+
+// 3-hour pressure tendency from a series (newest first, as normalized
+// observations). Returns
+//   { hpa, changeHpa, tendency: rising | falling | steady, rate, text, fromIso, toIso }
+// or null without two readings about 3 hours apart.
+export function pressureTendency(series) {
+  const latest = series.find((o) => o.barometricPressureHpa != null);
+  if (!latest) return null;
+  const t0 = Date.parse(latest.updatedIso);
+  const before = valueAgo(series, "barometricPressureHpa", t0);
+  if (!before) return null;
+
+  const change = latest.barometricPressureHpa - before.barometricPressureHpa;
+  const size = Math.abs(round(change));
+  const { rate } = RATES.find((r) => size <= r.maxHpa);
+  const tendency = rate === "steady" ? "steady" : change > 0 ? "rising" : "falling";
+  const words = tendencyWords({ tendency, rate });
+  return {
+    hpa: round(latest.barometricPressureHpa),
+    changeHpa: round(change),
+    tendency,
+    rate,
+    text: `${words.charAt(0).toUpperCase()}${words.slice(1)} (${signed(change)} hPa / ${TENDENCY_HOURS} h)`,
+    fromIso: before.updatedIso,
+    toIso: latest.updatedIso,
+  };
+}
+
+// Wind now against 3 hours ago: { changeKts, gustChangeKts, fromDirDeg, toDirDeg }
+export function windChange(series) {
+  const latest = series.find((o) => o.windKts != null);
+  if (!latest) return null;
+  const t0 = Date.parse(latest.updatedIso);
+  const before = valueAgo(series, "windKts", t0);
+  if (!before) return null;
+  return {
+    changeKts: round(latest.windKts - before.windKts),
+    gustChangeKts: latest.windGustKts != null && before.windGustKts != null
+      ? round(latest.windGustKts - before.windGustKts)
+      : null,
+    fromDirDeg: before.windDirDeg,
+    toDirDeg: latest.windDirDeg,
+  };
+}
+
+// Fronts and Santa Anas the readings point to. Each event is
+//   { type: "front" | "post-front" | "santa-ana", confidence: possible | likely, text, reasons }
+function detectEvents(series, pressure, wind) {
+  const events = [];
+  const latest = series.find((o) => o.windKts != null) || null;
+  const falling = pressure && pressure.changeHpa <= -FRONT_FALL_HPA;
+  const rising = pressure && pressure.changeHpa >= FRONT_FALL_HPA;
+
+  // Ahead of a front: pressure falling with southerly wind or wind building
+  if (falling) {
+    const reasons = [`pressure ${tendencyWords(pressure)}`];
+    if (latest && inDirs(latest.windDirDeg, PREFRONTAL_DIRS) && latest.windKts >= PREFRONTAL_KTS) reasons.push("southerly wind");
+    if (wind && wind.changeKts >= WIND_RISE_KTS) reasons.push(`wind up ${round(wind.changeKts, 0)} kts`);
+    if (wind && wind.gustChangeKts != null && wind.gustChangeKts >= GUST_RISE_KTS) reasons.push(`gusts up ${round(wind.gustChangeKts, 0)} kts`);
+    const quick = pressure.changeHpa <= -FRONT_QUICK_HPA;
+    if (reasons.length > 1 || quick) {
+      events.push({
+        type: "front",
+        confidence: reasons.length > 1 && quick ? "likely" : "possible",
+        text: "Front approaching",
+        reasons,
+      });
+    }
+  }
+
+  // Behind it: pressure climbing as the wind swings from south to west / northwest
+  if (rising && wind && inDirs(wind.fromDirDeg, PREFRONTAL_DIRS) && inDirs(wind.toDirDeg, POSTFRONTAL_DIRS)) {
+    events.push({
+      type: "post-front",
+      confidence: "likely",
+      text: "Front passing",
+      reasons: [`pressure ${tendencyWords(pressure)}`, "wind shifted to the west/northwest"],
+    });
+  }
+
+  // Santa Ana: sustained northeast-to-east wind, usually with pressure steady or rising
+  const offshore = recent(series, latest ? Date.parse(latest.updatedIso) : 0)
+    .filter((o) => inDirs(o.windDirDeg, SANTA_ANA_DIRS) &&
+      (o.windKts >= SANTA_ANA_KTS || (o.windGustKts != null && o.windGustKts >= SANTA_ANA_GUST_KTS)));
+  if (latest && offshore.length >= 2 && offshore[0] === latest) {
+    const reasons = [`${offshore.length} readings of northeast–east wind`];
+    const supportive = pressure && pressure.tendency !== "falling";
+    if (supportive) reasons.push(`pressure ${pressure.tendency}`);
+    const warming = series.find((o) => o.airTempF != null);
+    const warmBefore = warming && valueAgo(series, "airTempF", Date.parse(warming.updatedIso));
+    if (warming && warmBefore && warming.airTempF - warmBefore.airTempF >= 3) reasons.push("air warming");
+    events.push({
+      type: "santa-ana",
+      confidence: reasons.length >= 3 ? "likely" : "possible",
+      text: "Santa Ana winds",
+      reasons,
+    });
+  }
+  return events;
+}
+
+// The weather block for a response: { pressure, wind, events } from the
+// merged series (newest first). Fields are null without enough readings.
+export function weatherOutlook(series) {
+  const pressure = pressureTendency(series);
+  const wind = windChange(series);
+  return { pressure, wind, events: detectEvents(series, pressure, wind) };
+}
@@ -0,0 +1,145 @@
+// lib/webpush.js
+// Minimal Web Push sender (server only): VAPID authentication (RFC 8292) and
+// aes128gcm payload encryption (RFC 8291), on node:crypto alone.
+//
+// Keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, the raw
+// 65-byte public point and 32-byte private scalar) and VAPID_SUBJECT (a
+// mailto: or https: contact for the push service). Generate a pair with
+//   node -e 'import("./lib/webpush.js").then(m => console.log(m.generateVapidKeys()))'
+
+import { createECDH, createPrivateKey, createPublicKey, createCipheriv, createDecipheriv, hkdfSync, randomBytes, sign, verify } from "node:crypto";
+
+const CURVE = "prime256v1";
+const RECORD_SIZE = 4096;
+const JWT_LIFETIME_S = 12 * 60 * 60;
+const PUSH_TIMEOUT_MS = 10000;
+
+export const b64url = (buf) => Buffer.from(buf).toString("base64url");
+export const fromB64url = (str) => Buffer.from(str, "base64url");
+
+export function generateVapidKeys() {
+  const ecdh = createECDH(CURVE);
+  ecdh.generateKeys();
+  return { publicKey: b64url(ecdh.getPublicKey()), privateKey: b64url(ecdh.getPrivateKey()) };
+}
+
+// The configured VAPID keys, or null when Web Push isn't set up.
+export function vapidKeys() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return null;
+  return { publicKey: VAPID_PUBLIC_KEY, privateKey: VAPID_PRIVATE_KEY, subject: VAPID_SUBJECT || "mailto:admin@example.com" };
+}
+
+// Raw P-256 keys as KeyObjects (via JWK, which takes the point coordinates)
+function jwkFor(publicKey) {
+  const point = fromB64url(publicKey);
+  return { kty: "EC", crv: "P-256", x: b64url(point.subarray(1, 33)), y: b64url(point.subarray(33, 65)) };
+}
+const privateKeyObject = (publicKey, privateKey) =>
+  createPrivateKey({ key: { ...jwkFor(publicKey), d: privateKey }, format: "jwk" });
+const publicKeyObject = (publicKey) => createPublicKey({ key: jwkFor(publicKey), format: "jwk" });
+
+// Authorization header value for a push to `endpoint`.
+export function vapidAuthorization(endpoint, { publicKey, privateKey, subject }) {
+  const header = b64url(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + JWT_LIFETIME_S,
+    sub: subject,
+  }));
+  const signature = sign("sha256", Buffer.from(`${header}.${claims}`), {
+    key: privateKeyObject(publicKey, privateKey),
+    dsaEncoding: "ieee-p1363",
+  });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${publicKey}`;
+}
+
+// Check a `vapid t=..., k=...` header. Returns the JWT claims, or null.
+export function verifyVapidAuthorization(value) {
+  const match = /^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+),\s*k=([\w-]+)$/.exec(value || "");
+  if (!match) return null;
+  const [, header, claims, signature, k] = match;
+  const ok = verify("sha256", Buffer.from(`${header}.${claims}`), {
+    key: publicKeyObject(k),
+    dsaEncoding: "ieee-p1363",
+  }, fromB64url(signature));
+  return ok ? JSON.parse(fromB64url(claims).toString("utf8")) : null;
+}
+
+// Content-encryption key and nonce for one message (RFC 8291 section 3.4)
+function deriveKeys(ecdhSecret, authSecret, uaPublic, asPublic, salt) {
+  const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), uaPublic, asPublic]);
+  const ikm = Buffer.from(hkdfSync("sha256", ecdhSecret, authSecret, keyInfo, 32));
+  return {
+    cek: Buffer.from(hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16)),
+    nonce: Buffer.from(hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12)),
+  };
+}
+
+// Encrypt `payload` for a subscription's keys { p256dh, auth } as a single
+// aes128gcm record.
+export function encryptPayload(payload, { p256dh, auth }) {
+  const uaPublic = fromB64url(p256dh);
+  const ecdh = createECDH(CURVE);
+  const asPublic = ecdh.generateKeys();
+  const salt = randomBytes(16);
+  const { cek, nonce } = deriveKeys(ecdh.computeSecret(uaPublic), fromB64url(auth), uaPublic, asPublic, salt);
+
+  const cipher = createCipheriv("aes-128-gcm", cek, nonce);
+  // 0x02 marks the last (only) record
+  const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+  if (body.length + 86 > RECORD_SIZE) throw new Error("Push payload too large");
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, body]);
+}
+
+// The inverse, for a receiver holding the subscription's private key
+// (`ecdh`, a node ECDH object) and auth secret. Used by the local receiver.
+export function decryptPayload(message, { ecdh, auth }) {
+  const salt = message.subarray(0, 16);
+  const idLength = message.readUInt8(20);
+  const asPublic = message.subarray(21, 21 + idLength);
+  const body = message.subarray(21 + idLength);
+  const { cek, nonce } = deriveKeys(ecdh.computeSecret(asPublic), fromB64url(auth), ecdh.getPublicKey(), asPublic, salt);
+
+  const decipher = createDecipheriv("aes-128-gcm", cek, nonce);
+  decipher.setAuthTag(body.subarray(body.length - 16));
+  const plain = Buffer.concat([decipher.update(body.subarray(0, body.length - 16)), decipher.final()]);
+  // Strip the padding delimiter (and any zero padding before it)
+  let end = plain.length - 1;
+  while (end > 0 && plain[end] === 0) end--;
+  return plain.subarray(0, end).toString("utf8");
+}
+
+// Send one push message. Throws on failure; `err.gone` is true when the push
+// service says the subscription no longer exists (404/410), so it can be dropped.
+export async function sendPush(subscription, payload, { ttlSeconds = 6 * 60 * 60, urgency = "normal" } = {}) {
+  const keys = vapidKeys();
+  if (!keys) throw new Error("Web Push is not configured (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY)");
+  if (!subscription || !subscription.endpoint || !subscription.keys) {
+    throw new Error("Invalid push subscription");
+  }
+
+  const resp = await fetch(subscription.endpoint, {
+    method: "POST",
+    headers: {
+      Authorization: vapidAuthorization(subscription.endpoint, keys),
+      "Content-Encoding": "aes128gcm",
+      "Content-Type": "application/octet-stream",
+      TTL: String(ttlSeconds),
+      Urgency: urgency,
+    },
+    body: encryptPayload(payload, subscription.keys),
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+  if (!resp.ok) {
+    const err = new Error(`Push service answered ${resp.status} ${resp.statusText}`);
+    err.gone = resp.status === 404 || resp.status === 410;
+    throw err;
+  }
+  return resp.status;
+}
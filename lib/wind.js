@@ -0,0 +1,57 @@
+// lib/wind.js
+// Wind relative to the beach, and the direction helpers (angles, sectors,
+// compass points) the other shared modules use.
+//
+// NDBC wind direction is where the wind blows FROM. A wind from the direction
+// the beach faces (out to sea) blows onshore; from the opposite way, offshore.
+
+export const WIND_CLASSES = ["offshore", "cross-offshore", "cross-shore", "cross-onshore", "onshore"];
+
+// Gusts this many times the mean speed (and at least GUSTY_MIN_DIFF_KTS over it) count as gusty
+export const GUSTY_FACTOR = 1.5;
+export const GUSTY_MIN_DIFF_KTS = 5;
+
+// Smallest angle between two directions, 0–180.
+export function angleBetween(a, b) {
+  const d = Math.abs((((a - b) % 360) + 360) % 360);
+  return d > 180 ? 360 - d : d;
+}
+
+// True when `deg` lies in the clockwise sector from minDeg to maxDeg,
+// including sectors that wrap through north (e.g. 300–20°).
+export function inSector(deg, minDeg, maxDeg) {
+  if (deg == null) return false;
+  const d = ((deg % 360) + 360) % 360;
+  return minDeg <= maxDeg ? d >= minDeg && d <= maxDeg : d >= minDeg || d <= maxDeg;
+}
+
+// Classify a wind direction against the beach orientation. Returns one of
+// WIND_CLASSES, or null when either direction is unknown.
+export function classifyWind(windDirDeg, beachFacingDeg) {
+  if (windDirDeg == null || beachFacingDeg == null) return null;
+  const off = angleBetween(windDirDeg, beachFacingDeg); // 0 = straight onshore
+  if (off <= 30) return "onshore";
+  if (off <= 67.5) return "cross-onshore";
+  if (off <= 112.5) return "cross-shore";
+  if (off <= 150) return "cross-offshore";
+  return "offshore";
+}
+
+// Gust / mean speed ratio, or null when either is missing or there's no wind.
+export function gustFactor(windKts, gustKts) {
+  if (windKts == null || gustKts == null || windKts <= 0) return null;
+  return gustKts / windKts;
+}
+
+// True when gusts are well above the mean wind.
+export function isGusty(windKts, gustKts, factor = GUSTY_FACTOR, minDiffKts = GUSTY_MIN_DIFF_KTS) {
+  const gf = gustFactor(windKts, gustKts);
+  return gf != null && gf >= factor && gustKts - windKts >= minDiffKts;
+}
+
+// 16-point compass name for a direction, e.g. 247.5 -> "WSW"; "---" when unknown.
+export function degToCompass(deg) {
+  if (deg == null) return "---";
+  const dirs = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+  return dirs[Math.round(deg / 22.5) % 16];
+}
@@ -0,0 +1,668 @@
+// scripps-surf-widget.js - <scripps-surf-widget> custom element
+//
+//   <script type="module" src="https://your-project.vercel.app/scripps-surf-widget.js"></script>
+//   <scripps-surf-widget station="torrey-pines" units="metric" theme="dark" compact></scripps-surf-widget>
+//
+// Attributes
+//   station   registry slug (lib/stations.js), default scripps
+//   units     imperial | metric | mixed; omit to use the visitor's saved choice
+//   theme     light (default) | dark | auto (follows prefers-color-scheme)
+//   compact   hide the later-today strip, trends, rating breakdown and Quick Read
+//   endpoint  API base, default the /api/surf next to this script
+// Events (bubble and cross the shadow boundary)
+//   surf:update  detail { station, data, stale } after each successful load
+//   surf:error   detail { station, error } when a load fails
+// Colors can be overridden from the page with the --surf-* custom properties.
+
+import { createSurfWidget } from "./widget.js";
+
+// The API deployed alongside this script, so cross-origin embeds need no config
+const DEFAULT_ENDPOINT = new URL("./api/surf", import.meta.url).href;
+
+const STYLES = `
+  :host {
+    --surf-bg: #ffffff;
+    --surf-panel: #f9fafb;
+    --surf-fg: #0f172a;
+    --surf-muted: #6b7280;
+    --surf-border: #e5e7eb;
+    --surf-accent: #0ea5e9;
+    --surf-warn: #b45309;
+    display: block;
+    max-width: 480px;
+    font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+  }
+
+  :host([hidden]) {
+    display: none;
+  }
+
+  :host([theme="dark"]) {
+    --surf-bg: #0f172a;
+    --surf-panel: #1e293b;
+    --surf-fg: #e2e8f0;
+    --surf-muted: #94a3b8;
+    --surf-border: #334155;
+    --surf-warn: #fbbf24;
+  }
+
+  @media (prefers-color-scheme: dark) {
+    :host([theme="auto"]) {
+      --surf-bg: #0f172a;
+      --surf-panel: #1e293b;
+      --surf-fg: #e2e8f0;
+      --surf-muted: #94a3b8;
+      --surf-border: #334155;
+      --surf-warn: #fbbf24;
+    }
+  }
+
+  .surf-card {
+    width: 100%;
+    box-sizing: border-box;
+    background: var(--surf-bg);
+    border-radius: 14px;
+    border: 1px solid var(--surf-border);
+    box-shadow: 0 8px 18px rgba(15, 23, 42, 0.15);
+    overflow: hidden;
+    color: var(--surf-fg);
+  }
+
+  .surf-header {
+    padding: 10px 16px;
+    background: linear-gradient(135deg, #0ea5e9, #22c55e);
+    color: #f9fafb;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+  }
+
+  .surf-location {
+    display: flex;
+    flex-direction: column;
+  }
+
+  .surf-location-title {
+    font-size: 1rem;
+    font-weight: 700;
+    letter-spacing: 0.02em;
+  }
+
+  .surf-location-sub {
+    font-size: 0.8rem;
+    opacity: 0.9;
+  }
+
+  .station-select {
+    margin-top: 4px;
+    max-width: 180px;
+    background: rgba(255, 255, 255, 0.2);
+    border: 1px solid rgba(255, 255, 255, 0.3);
+    border-radius: 6px;
+    color: #f9fafb;
+    font-size: 0.7rem;
+    padding: 2px 4px;
+  }
+
+  .station-select option {
+    color: #0f172a;
+  }
+
+  .unit-pickers {
+    display: flex;
+    justify-content: flex-end;
+    gap: 4px;
+  }
+
+  .surf-updated {
+    font-size: 0.75rem;
+    text-align: right;
+  }
+
+  .surf-current {
+    padding: 12px 16px;
+    border-bottom: 1px solid var(--surf-border);
+    display: grid;
+    grid-template-columns: 1.2fr 1fr;
+    gap: 10px;
+    background: var(--surf-panel);
+  }
+
+  .surf-main {
+    display: flex;
+    flex-direction: column;
+    justify-content: center;
+  }
+
+  .label {
+    font-size: 0.7rem;
+    text-transform: uppercase;
+    letter-spacing: 0.08em;
+    color: var(--surf-muted);
+    margin-bottom: 4px;
+  }
+
+  .surf-height {
+    font-size: 1.7rem;
+    font-weight: 700;
+    margin-bottom: 4px;
+  }
+
+  .surf-quality {
+    font-size: 0.85rem;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  }
+
+  .stars {
+    letter-spacing: 0.04em;
+    font-size: 0.95rem;
+  }
+
+  .rating-why {
+    margin-top: 4px;
+    font-size: 0.7rem;
+    color: var(--surf-muted);
+  }
+
+  .rating-why summary {
+    cursor: pointer;
+  }
+
+  .rating-why ul {
+    margin: 4px 0 0;
+    padding-left: 16px;
+  }
+
+  .surf-meta {
+    font-size: 0.75rem;
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 4px 10px;
+  }
+
+  .meta-sub {
+    font-size: 0.65rem;
+    color: var(--surf-muted);
+  }
+
+  .meta-sub.meta-warn {
+    color: var(--surf-warn);
+  }
+
+  /* Readings the API's quality control flagged; the reasons are in the title */
+  .qc-suspect {
+    color: var(--surf-muted);
+    text-decoration: underline dotted;
+    cursor: help;
+  }
+
+  .qc-bad {
+    color: var(--surf-muted);
+    text-decoration: line-through;
+    cursor: help;
+  }
+
+  .surf-section {
+    padding: 10px 16px 12px;
+  }
+
+  .surf-section-title {
+    font-size: 0.8rem;
+    font-weight: 600;
+    margin-bottom: 6px;
+    color: var(--surf-fg);
+  }
+
+  .surf-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 0.75rem;
+  }
+
+  .surf-table th,
+  .surf-table td {
+    padding: 6px 4px;
+    text-align: left;
+    border-bottom: 1px solid var(--surf-border);
+    white-space: nowrap;
+  }
+
+  .surf-table th {
+    font-weight: 600;
+    color: var(--surf-muted);
+  }
+
+  .surf-table tr:last-child td {
+    border-bottom: none;
+  }
+
+  .surf-footer {
+    padding: 8px 16px 10px;
+    border-top: 1px solid var(--surf-border);
+    font-size: 0.7rem;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    background: var(--surf-panel);
+    color: var(--surf-muted);
+  }
+
+  .badge {
+    padding: 2px 8px;
+    border-radius: 999px;
+    background: var(--surf-accent);
+    color: #f9fafb;
+    font-size: 0.7rem;
+    font-weight: 500;
+  }
+
+  .error {
+    padding: 8px 16px;
+    font-size: 0.75rem;
+    color: #b91c1c;
+    background: #fef2f2;
+    border-top: 1px solid #fecaca;
+    display: none;
+  }
+
+  /* Last known conditions shown offline */
+  .offline-note {
+    display: none;
+    padding: 6px 16px;
+    font-size: 0.7rem;
+    color: #92400e;
+    background: #fef3c7;
+    border-bottom: 1px solid #fde68a;
+  }
+
+  .surf-card.offline .offline-note {
+    display: block;
+  }
+
+  /* Front or Santa Ana on the way */
+  .weather-note {
+    padding: 6px 16px;
+    font-size: 0.7rem;
+    color: var(--surf-warn);
+    border-bottom: 1px solid var(--surf-border);
+  }
+
+  .surf-card.offline .surf-height {
+    color: var(--surf-muted);
+  }
+
+  /* Loading skeleton */
+  .surf-card.loading .surf-height,
+  .surf-card.loading #meta-swell,
+  .surf-card.loading #meta-swell-dir,
+  .surf-card.loading #meta-wind,
+  .surf-card.loading #meta-water,
+  .surf-card.loading #meta-wetsuit,
+  .surf-card.loading #meta-pressure,
+  .surf-card.loading #meta-tide {
+    background: linear-gradient(90deg, var(--surf-panel) 25%, var(--surf-border) 50%, var(--surf-panel) 75%);
+    background-size: 200% 100%;
+    animation: loading 1.5s ease-in-out infinite;
+    border-radius: 4px;
+    color: transparent;
+    min-height: 1.2em;
+  }
+
+  @keyframes loading {
+    0% { background-position: 200% 0; }
+    100% { background-position: -200% 0; }
+  }
+
+  /* Refresh button */
+  .refresh-btn {
+    background: rgba(255, 255, 255, 0.2);
+    border: 1px solid rgba(255, 255, 255, 0.3);
+    color: #f9fafb;
+    border-radius: 6px;
+    padding: 4px 8px;
+    font-size: 0.7rem;
+    cursor: pointer;
+    transition: all 0.2s;
+    margin-left: 8px;
+  }
+
+  .refresh-btn:hover {
+    background: rgba(255, 255, 255, 0.3);
+    border-color: rgba(255, 255, 255, 0.5);
+  }
+
+  .refresh-btn:active {
+    transform: scale(0.95);
+  }
+
+  .refresh-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
+  .refresh-btn.spinning {
+    animation: spin 1s linear infinite;
+  }
+
+  @keyframes spin {
+    from { transform: rotate(0deg); }
+    to { transform: rotate(360deg); }
+  }
+
+  /* Trends */
+  .later-strip {
+    display: grid;
+    grid-auto-flow: column;
+    grid-auto-columns: minmax(0, 1fr);
+    gap: 4px;
+    margin: 6px 0 4px;
+    font-size: 0.75rem;
+    text-align: center;
+  }
+
+  .later-cell {
+    padding: 4px 2px;
+    border: 1px solid var(--surf-border);
+    border-radius: 6px;
+    cursor: default;
+  }
+
+  .later-time {
+    color: var(--surf-muted);
+  }
+
+  .later-stars {
+    font-size: 0.65rem;
+    letter-spacing: -1px;
+  }
+
+  .trend-section {
+    position: relative;
+    border-bottom: 1px solid var(--surf-border);
+  }
+
+  .trend-title {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+  }
+
+  .trend-range-btn {
+    background: none;
+    border: 1px solid var(--surf-border);
+    border-radius: 6px;
+    padding: 1px 6px;
+    font-size: 0.65rem;
+    color: var(--surf-muted);
+    cursor: pointer;
+  }
+
+  .trend-range-btn.active {
+    background: var(--surf-accent);
+    border-color: var(--surf-accent);
+    color: #f9fafb;
+  }
+
+  .trend-row {
+    display: grid;
+    grid-template-columns: 80px 1fr 96px;
+    align-items: center;
+    gap: 8px;
+    font-size: 0.75rem;
+    padding: 3px 0;
+  }
+
+  .trend-label {
+    color: var(--surf-muted);
+  }
+
+  .trend-spark {
+    width: 100%;
+    height: 32px;
+    cursor: crosshair;
+  }
+
+  .trend-value {
+    display: flex;
+    flex-direction: column;
+    align-items: flex-end;
+  }
+
+  .trend-dir {
+    font-size: 0.65rem;
+    color: var(--surf-muted);
+  }
+
+  .trend-rising { color: #16a34a; }
+  .trend-dropping { color: #dc2626; }
+
+  .trend-empty {
+    font-size: 0.75rem;
+    color: var(--surf-muted);
+  }
+
+  .trend-tooltip {
+    position: absolute;
+    display: none;
+    transform: translate(-50%, -110%);
+    padding: 2px 6px;
+    border-radius: 4px;
+    background: var(--surf-fg);
+    color: var(--surf-bg);
+    font-size: 0.65rem;
+    white-space: nowrap;
+    pointer-events: none;
+  }
+
+  /* Compact: just the headline numbers */
+  :host([compact]) .later-section,
+  :host([compact]) .trend-section,
+  :host([compact]) .quick-read,
+  :host([compact]) .rating-why {
+    display: none !important;
+  }
+
+  @media (max-width: 480px) {
+    .surf-current {
+      grid-template-columns: 1fr;
+    }
+    .surf-updated {
+      font-size: 0.7rem;
+    }
+  }
+`;
+
+const MARKUP = `
+  <div class="surf-card" part="card">
+    <!-- Header -->
+    <div class="surf-header">
+      <div class="surf-location">
+        <div class="surf-location-title" id="station-title">Scripps Pier</div>
+        <div class="surf-location-sub" id="station-sub">La Jolla, CA (LJPC1)</div>
+        <select id="station-select" class="station-select" aria-label="Choose surf spot">
+          <option value="scripps">Scripps Pier, La Jolla, CA</option>
+        </select>
+      </div>
+      <div class="surf-updated">
+        <div><strong id="header-status">Loading...</strong></div>
+        <div id="header-time">Connecting to buoy</div>
+        <button id="refresh-btn" class="refresh-btn" title="Refresh data" aria-label="Refresh surf data">
+          ↻ Refresh
+        </button>
+        <div class="unit-pickers">
+          <select id="units-select" class="station-select" aria-label="Units">
+            <option value="imperial">Imperial (ft, °F)</option>
+          </select>
+          <select id="speed-select" class="station-select" aria-label="Wind speed units">
+            <option value="kts">kts</option>
+          </select>
+        </div>
+      </div>
+    </div>
+
+    <!-- Shown instead of an empty card when offline -->
+    <div class="offline-note" id="offline-note" role="status"></div>
+
+    <!-- Incoming weather from the pressure and wind trend -->
+    <div class="weather-note" id="weather-note" role="status" style="display: none"></div>
+
+    <!-- Current conditions -->
+    <div class="surf-current">
+      <div class="surf-main">
+        <div class="label" id="surf-height-label">Significant surf (NOAA buoy)</div>
+        <div class="surf-height" id="surf-height">-- ft</div>
+        <div class="meta-sub" id="surf-height-method"></div>
+        <div class="meta-sub" id="surf-height-climate"></div>
+        <div class="surf-quality">
+          <span class="stars" id="surf-stars">☆☆☆☆☆</span>
+          <span id="surf-quality-text">Waiting for data</span>
+        </div>
+        <details class="rating-why" id="rating-why" style="display: none">
+          <summary>Why this rating?</summary>
+          <ul id="rating-factors"></ul>
+        </details>
+      </div>
+      <div class="surf-meta">
+        <div>
+          <div class="label">Swell / Period</div>
+          <div id="meta-swell">-- ft @ -- s</div>
+        </div>
+        <div>
+          <div class="label">Swell Direction</div>
+          <div id="meta-swell-dir">---</div>
+        </div>
+        <div>
+          <div class="label">Wind</div>
+          <div id="meta-wind">-- kts</div>
+          <div class="meta-sub" id="meta-wind-sub"></div>
+        </div>
+        <div>
+          <div class="label">Water Temp</div>
+          <div id="meta-water">-- °F</div>
+          <div class="meta-sub" id="meta-water-sub"></div>
+        </div>
+        <div>
+          <div class="label">Wetsuit</div>
+          <div id="meta-wetsuit">--</div>
+          <div class="meta-sub" id="meta-air"></div>
+        </div>
+        <div>
+          <div class="label">Pressure</div>
+          <div id="meta-pressure">-- hPa</div>
+          <div class="meta-sub" id="meta-pressure-sub"></div>
+        </div>
+        <div>
+          <div class="label">Tide</div>
+          <div id="meta-tide">-- ft</div>
+          <div class="meta-sub" id="meta-tide-next"></div>
+        </div>
+      </div>
+    </div>
+
+    <!-- The next few hours, extrapolated from the buoy (nowcast) -->
+    <div class="surf-section later-section" id="later-section" style="display: none">
+      <div class="surf-section-title">Later today</div>
+      <div class="later-strip" id="later-strip"></div>
+      <div class="meta-sub" id="later-note"></div>
+    </div>
+
+    <!-- Trends over the last day or two -->
+    <div class="surf-section trend-section">
+      <div class="surf-section-title trend-title">
+        <span>Trends</span>
+        <span role="group" aria-label="Trend range">
+          <button type="button" class="trend-range-btn" data-hours="24">24h</button>
+          <button type="button" class="trend-range-btn active" data-hours="48">48h</button>
+        </span>
+      </div>
+      <div id="trend-list">
+        <div class="trend-empty">Loading...</div>
+      </div>
+      <div class="trend-tooltip" id="trend-tooltip" role="tooltip"></div>
+    </div>
+
+    <!-- Simple "feel" table based on buoy data -->
+    <div class="surf-section quick-read">
+      <div class="surf-section-title">Quick Read</div>
+      <table class="surf-table">
+        <thead>
+          <tr>
+            <th>Factor</th>
+            <th>Summary</th>
+          </tr>
+        </thead>
+        <tbody id="quick-table-body">
+          <tr><td colspan="2">Loading...</td></tr>
+        </tbody>
+      </table>
+    </div>
+
+    <!-- Error -->
+    <div class="error" id="error-box"></div>
+
+    <!-- Footer -->
+    <div class="surf-footer">
+      <span id="footer-source">Live data from NOAA NDBC LJPC1 – Scripps Pier.</span>
+      <span class="badge">Buoy Verified</span>
+    </div>
+  </div>
+`;
+
+const template = document.createElement("template");
+template.innerHTML = `<style>${STYLES}</style>${MARKUP}`;
+
+export class ScrippsSurfWidget extends HTMLElement {
+  static get observedAttributes() {
+    return ["station", "units", "compact", "endpoint"];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" }).appendChild(template.content.cloneNode(true));
+    this._widget = null;
+  }
+
+  connectedCallback() {
+    if (!this._widget) {
+      this._widget = createSurfWidget(this.shadowRoot, {
+        host: this,
+        station: this.getAttribute("station"),
+        units: this.getAttribute("units"),
+        endpoint: this.getAttribute("endpoint") || DEFAULT_ENDPOINT,
+        compact: this.hasAttribute("compact"),
+        // Reflect the visitor's pick; setStation() ignores the resulting attribute change
+        onStationChange: station => this.setAttribute("station", station.id)
+      });
+    }
+    this._widget.start();
+  }
+
+  disconnectedCallback() {
+    if (this._widget) this._widget.stop();
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    // Attributes present at creation are read in connectedCallback
+    if (!this._widget || oldValue === value) return;
+    if (name === "station") this._widget.setStation(value);
+    else if (name === "units") this._widget.setUnits(value);
+    else if (name === "compact") this._widget.setCompact(value != null);
+    else if (name === "endpoint") this._widget.setEndpoint(value || DEFAULT_ENDPOINT);
+  }
+
+  // Reload now. Resolves true on success, rejects when the load fails.
+  refresh() {
+    return this._widget ? this._widget.refresh() : Promise.resolve(false);
+  }
+
+  // Last /api/surf/[station] response, or null before the first load
+  get data() {
+    return this._widget ? this._widget.data : null;
+  }
+}
+
+if (!customElements.get("scripps-surf-widget")) {
+  customElements.define("scripps-surf-widget", ScrippsSurfWidget);
+}
@@ -0,0 +1,116 @@
+// scripts/alert-receiver.js
+// Local stand-in for webhook receivers and a Web Push service, for trying
+// alerts without real endpoints.
+//
+//   node scripts/alert-receiver.js [port]        (default 8787)
+//
+//   POST /hook/<anything>   logs the webhook JSON; checks X-Surf-Signature
+//                           when ALERT_WEBHOOK_SECRET is set
+//   GET  /subscription      a fake push subscription whose endpoint is this
+//                           server; use it as a webpush target or POST it to
+//                           /api/alerts/subscribe
+//   POST /push/<id>         checks the VAPID header, decrypts and logs the message
+//   GET  /received          everything received so far, as JSON
+//   DELETE /received        clears that list
+//
+// Tests can import startReceiver() instead and read `received` directly.
+
+import { createServer } from "node:http";
+import { createECDH, createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { pathToFileURL } from "node:url";
+import { b64url, decryptPayload, verifyVapidAuthorization } from "../lib/webpush.js";
+
+const DEFAULT_PORT = 8787;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function signatureOk(secret, body, header) {
+  const expected = Buffer.from(`sha256=${createHmac("sha256", secret).update(body).digest("hex")}`);
+  const actual = Buffer.from(header || "");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Start the receiver. Resolves { server, url, received, subscription() }.
+//   subscription()  a new fake push subscription pointing at this server
+export function startReceiver({ port = DEFAULT_PORT, secret = process.env.ALERT_WEBHOOK_SECRET, quiet = false } = {}) {
+  const received = [];
+  const subscribers = new Map(); // id -> { ecdh, auth }
+  const log = (...args) => quiet || console.log(`[${new Date().toISOString()}]`, ...args);
+  let baseUrl = null;
+
+  function subscription() {
+    const id = b64url(randomBytes(8));
+    const ecdh = createECDH("prime256v1");
+    ecdh.generateKeys();
+    const auth = b64url(randomBytes(16));
+    subscribers.set(id, { ecdh, auth });
+    return { endpoint: `${baseUrl}/push/${id}`, expirationTime: null, keys: { p256dh: b64url(ecdh.getPublicKey()), auth } };
+  }
+
+  const server = createServer(async (req, res) => {
+    const send = (status, json) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(json === undefined ? "" : JSON.stringify(json, null, 2));
+    };
+    const path = new URL(req.url, baseUrl).pathname;
+
+    try {
+      if (req.method === "GET" && path === "/received") return send(200, received);
+      if (req.method === "DELETE" && path === "/received") {
+        received.length = 0;
+        return send(204);
+      }
+      if (req.method === "GET" && path === "/subscription") return send(200, subscription());
+
+      if (req.method === "POST" && path.startsWith("/push/")) {
+        const sub = subscribers.get(path.slice("/push/".length));
+        if (!sub) return send(410, { error: "Unknown subscription" });
+        const claims = verifyVapidAuthorization(req.headers.authorization);
+        if (!claims) return send(401, { error: "Bad VAPID authorization" });
+        const message = JSON.parse(decryptPayload(await readBody(req), sub));
+        received.push({ kind: "push", path, vapid: claims, ttl: req.headers.ttl, message });
+        log(`Push ${path}:`, message);
+        return send(201);
+      }
+
+      if (req.method === "POST") {
+        const body = await readBody(req);
+        const signed = req.headers["x-surf-signature"];
+        if (secret && !signatureOk(secret, body, signed)) return send(401, { error: "Bad signature" });
+        const message = JSON.parse(body.toString("utf8"));
+        received.push({ kind: "webhook", path, signed: Boolean(signed), message });
+        log(`Webhook ${path}:`, JSON.stringify(message, null, 2));
+        return send(200, { ok: true });
+      }
+
+      send(404, { error: "Not found" });
+    } catch (e) {
+      log(`Bad request to ${path}:`, e.message);
+      send(400, { error: e.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, url: baseUrl, received, subscription });
+    });
+  });
+}
+
+// Run from the command line
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  const { url } = await startReceiver({ port });
+  console.log(`Alert receiver listening on ${url}`);
+  console.log(`  webhook target:  { "type": "webhook", "url": "${url}/hook/test" }`);
+  console.log(`  push target:     curl ${url}/subscription`);
+}
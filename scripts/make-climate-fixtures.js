@@ -0,0 +1,94 @@
+// scripts/make-climate-fixtures.js
+// Write the synthetic LJPC1 archives in fixtures/climate/ (ljpc1h2022.txt.gz,
+// ljpc1h2023.txt.gz): NDBC historical stdmet files with a reading every 3
+// hours, seasonal waves and water temperature, and a few missing wave rows.
+//
+//   node scripts/make-climate-fixtures.js [dir]     (default fixtures/climate)
+//
+// The numbers come from a seeded generator, so running it again writes the
+// same files. Change YEARS or the curves below and rerun to regenerate them.
+
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { gzipSync } from "node:zlib";
+
+const STATION = "ljpc1";
+const YEARS = [2022, 2023];
+const STEP_HOURS = 3;
+// Share of rows with no wave reading (99.00 / 999 filler), like a buoy outage
+const MISSING_WAVES = 0.04;
+
+const HEADER = [
+  "#YY  MM DD hh mm WDIR WSPD GST  WVHT   DPD   APD MWD   PRES  ATMP  WTMP  DEWP  VIS  TIDE",
+  "#yr  mo dy hr mn degT m/s  m/s     m   sec   sec degT   hPa  degC  degC  degC  mi    ft",
+];
+
+// mulberry32: small, seedable, good enough for test data
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Cosine over the year: `winter` in mid-January, `summer` in mid-July
+function seasonal(dayOfYear, winter, summer) {
+  const phase = Math.cos((2 * Math.PI * (dayOfYear - 15)) / 365);
+  return summer + ((winter - summer) * (1 + phase)) / 2;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+const fixed = (value, digits, width) => value.toFixed(digits).padStart(width);
+
+// `swell` is the day's offset from the seasonal wave height, so days differ
+// the way swell events make them differ
+function row(time, rand, swell) {
+  const day = Math.floor((time - Date.UTC(time.getUTCFullYear(), 0, 1)) / 86400000);
+  const jitter = (spread) => (rand() - 0.5) * 2 * spread;
+
+  const wdir = Math.round((270 + jitter(35) + 360) % 360);
+  const wspd = Math.max(0, seasonal(day, 4.5, 3.5) + jitter(3.5));
+  const gst = wspd * 1.4;
+  const pres = seasonal(day, 1018, 1012) + jitter(4);
+  const atmp = seasonal(day, 14, 21) + jitter(1.5);
+  const wtmp = seasonal(day, 15.5, 21.5) + jitter(0.7);
+
+  const date = `${time.getUTCFullYear()} ${pad(time.getUTCMonth() + 1)} ${pad(time.getUTCDate())} ${pad(time.getUTCHours())} 00`;
+  const wind = `${String(wdir).padStart(3)} ${fixed(wspd, 1, 4)} ${fixed(gst, 1, 4)}`;
+  const waves = rand() < MISSING_WAVES
+    ? "99.00 99.00 99.00 999"
+    : [
+      fixed(Math.max(0.3, seasonal(day, 1.35, 0.85) + swell + jitter(0.15)), 2, 5),
+      fixed(seasonal(day, 14.5, 11) + jitter(2), 2, 5),
+      fixed(seasonal(day, 9, 7.5) + jitter(1), 2, 5),
+      String(Math.round(seasonal(day, 275, 205) + jitter(20))).padStart(3),
+    ].join(" ");
+  return `${date} ${wind} ${waves} ${fixed(pres, 1, 6)} ${fixed(atmp, 1, 5)} ${fixed(wtmp, 1, 5)} 999.0 99.0 99.00`;
+}
+
+function archive(year) {
+  const rand = random(year);
+  const lines = [...HEADER];
+  const end = Date.UTC(year + 1, 0, 1);
+  let swell = 0;
+  for (let t = Date.UTC(year, 0, 1); t < end; t += STEP_HOURS * 3600000) {
+    const time = new Date(t);
+    if (time.getUTCHours() === 0) swell = swell * 0.6 + (rand() - 0.5) * 0.7;
+    lines.push(row(time, rand, swell));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+const dir = process.argv[2] || fileURLToPath(new URL("../fixtures/climate/", import.meta.url));
+await mkdir(dir, { recursive: true });
+for (const year of YEARS) {
+  const name = `${STATION}h${year}.txt.gz`;
+  // gzip output carries no timestamp, so unchanged data gives identical bytes
+  await writeFile(join(dir, name), gzipSync(archive(year)));
+  console.log(name);
+}
@@ -0,0 +1,37 @@
+// scripts/parse-ndbc.js
+// Parse an NDBC text file (realtime or historical) with lib/ndbcParser.js and
+// print the records as JSON, for checking a file or feeding other tools.
+//
+//   node scripts/parse-ndbc.js <file> [format]      format overrides detection
+//   node scripts/parse-ndbc.js fixtures/ndbc/46225.spec
+//   node scripts/parse-ndbc.js - stdmet < 46225h2023.txt
+//
+// Prints { format, source, columns, records, warnings } (spectral files add
+// quantity and unit).
+
+import { readFile } from "node:fs/promises";
+import { parseNdbc } from "../lib/ndbcParser.js";
+
+async function readInput(path) {
+  if (path !== "-") return readFile(path, "utf8");
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+const [path, format] = process.argv.slice(2);
+if (!path) {
+  console.error("Usage: node scripts/parse-ndbc.js <file | -> [format]");
+  process.exit(2);
+}
+
+try {
+  const { headerTokens, idx, dataRows, ...parsed } = parseNdbc(await readInput(path), {
+    source: path === "-" ? null : path,
+    format: format || null,
+  });
+  console.log(JSON.stringify(parsed, null, 2));
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
@@ -0,0 +1,96 @@
+// sw.js - Service worker for the installable widget page
+//
+// Caches the app shell so the page opens without a connection, and shows
+// condition alerts sent by Web Push. API responses are not cached here: the
+// widget keeps the last good conditions and history in IndexedDB
+// (lib/offlineStore.js) and shows them, with their age, offline.
+//
+// Bump SHELL_CACHE when the shell list changes; old caches are dropped on activate.
+
+const SHELL_CACHE = "surf-shell-v5";
+
+const SHELL = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./widget.js",
+  "./scripps-surf-widget.js",
+  "./manifest.webmanifest",
+  "./icons/icon.svg",
+  "./lib/comfort.js",
+  "./lib/describe.js",
+  "./lib/nowcast.js",
+  "./lib/offlineStore.js",
+  "./lib/qc.js",
+  "./lib/rating.js",
+  "./lib/stations.js",
+  "./lib/surfModel.js",
+  "./lib/units.js",
+  "./lib/wind.js",
+  "./lib/profiles/scripps.json",
+  "./lib/profiles/torrey-pines.json",
+  "./lib/profiles/mission-beach.json",
+  "./lib/profiles/oceanside.json"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Condition alerts (api/alerts/evaluate.js) arrive as { title, body, url, tag }
+self.addEventListener("push", (event) => {
+  const alert = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(alert.title || "Surf alert", {
+      body: alert.body || "",
+      icon: "./icons/icon.svg",
+      tag: alert.tag,
+      data: { url: alert.url || "./" }
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow(event.notification.data.url));
+});
+
+// Shell files: answer from the cache straight away and refresh it in the
+// background, so a deploy shows up on the next visit.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/")) return;
+
+  event.respondWith(
+    caches.open(SHELL_CACHE).then(async (cache) => {
+      // ?station= pages all share the cached index.html
+      const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+      const network = fetch(request)
+        .then(resp => {
+          if (resp.ok && cached) cache.put(request, resp.clone());
+          return resp;
+        })
+        .catch(() => cached || Response.error());
+
+      if (cached) {
+        event.waitUntil(network);
+        return cached;
+      }
+      return network;
+    })
+  );
+});
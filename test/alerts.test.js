@@ -0,0 +1,53 @@
+// test/alerts.test.js
+// Alert condition parsing and browser subscription limits in lib/alerts.js.
+// Subscriptions go to the default in-memory cache backend.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_RULES_PER_SUBSCRIPTION,
+  MAX_SUBSCRIPTIONS,
+  loadSubscriptions,
+  parseCondition,
+  saveSubscription,
+} from "../lib/alerts.js";
+
+test("between accepts the usual separators", () => {
+  for (const text of ["height between 2 4", "height between 2,4", "height between 2..4",
+    "height between 2–4", "height between 2-4", "height between 2 - 4"]) {
+    assert.deepEqual(parseCondition(text).value, [2, 4], text);
+  }
+});
+
+test("between takes negative bounds", () => {
+  assert.deepEqual(parseCondition("airTempF between -5 10").value, [-5, 10]);
+  assert.deepEqual(parseCondition("airTempF between -10 -5").value, [-10, -5]);
+  assert.deepEqual(parseCondition("airTempF between -5..-1").value, [-5, -1]);
+  assert.deepEqual(parseCondition("airTempF between -5--1").value, [-5, -1]);
+  assert.deepEqual(parseCondition("airTempF between -5 - -1").value, [-5, -1]);
+});
+
+test("between still rejects anything but two numbers", () => {
+  assert.throws(() => parseCondition("height between 2"), /two numbers/);
+  assert.throws(() => parseCondition("height between 2 4 6"), /two numbers/);
+  assert.throws(() => parseCondition("height between low high"), /two numbers/);
+});
+
+const subscription = (n) => ({ endpoint: `https://push.example/${n}`, keys: { p256dh: "key", auth: "auth" } });
+const rule = { station: "scripps", when: "rating >= 4" };
+
+test("a subscription carries a limited number of rules", async () => {
+  const tooMany = Array.from({ length: MAX_RULES_PER_SUBSCRIPTION + 1 }, () => rule);
+  await assert.rejects(saveSubscription(subscription("rules"), tooMany), /At most/);
+  await assert.rejects(saveSubscription(subscription("big"), [{ ...rule, name: "x".repeat(9000) }]), /must fit/);
+});
+
+test("new browsers are refused once the store is full; stored ones can still update", async () => {
+  const stored = Object.keys(await loadSubscriptions()).length;
+  for (let i = stored; i < MAX_SUBSCRIPTIONS; i++) await saveSubscription(subscription(i), [rule]);
+  assert.equal(Object.keys(await loadSubscriptions()).length, MAX_SUBSCRIPTIONS);
+
+  await assert.rejects(saveSubscription(subscription("one-more"), [rule]), { code: "SUBSCRIPTIONS_FULL" });
+  await saveSubscription(subscription(0), [rule, { station: "scripps", when: "height >= 3" }]);
+  assert.equal(Object.keys(await loadSubscriptions()).length, MAX_SUBSCRIPTIONS);
+});
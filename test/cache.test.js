@@ -0,0 +1,25 @@
+// test/cache.test.js
+// swr in lib/cache.js with the default in-memory backend.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { swr } from "../lib/cache.js";
+
+const POLICY = { ttlMs: 60000, swrMs: 3600000, maxAgeMs: 86400000 };
+
+test("bypass loads again instead of serving the cached entry", async () => {
+  let calls = 0;
+  const load = async () => ++calls;
+  assert.deepEqual([(await swr("test:bypass", load, POLICY)).data, calls], [1, 1]);
+  assert.equal((await swr("test:bypass", load, POLICY)).status, "fresh");
+
+  const forced = await swr("test:bypass", load, { ...POLICY, bypass: true });
+  assert.deepEqual([forced.status, forced.data], ["miss", 2]);
+  assert.equal((await swr("test:bypass", load, POLICY)).data, 2);
+});
+
+test("bypass still falls back on the entry when loading fails", async () => {
+  await swr("test:bypass-fail", async () => "old", POLICY);
+  const result = await swr("test:bypass-fail", async () => { throw new Error("down"); }, { ...POLICY, bypass: true });
+  assert.deepEqual([result.status, result.data], ["stale", "old"]);
+});
@@ -0,0 +1,38 @@
+// test/cardImage.test.js
+// The card in lib/cardImage.js leaves out readings QC flagged bad, as the
+// text report in lib/formats.js does.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderCardSvg } from "../lib/cardImage.js";
+import { textReport } from "../lib/formats.js";
+
+const data = {
+  station: "scripps",
+  name: "Scripps Pier",
+  stationId: "LJPC1",
+  updatedIso: "2024-01-15T18:00:00Z",
+  waveHeightFt: 38.7,
+  dominantPeriodSec: 14,
+  windKts: 9,
+  windGustKts: 13,
+  windDirDeg: 270,
+  waterTempF: 131.3,
+  qc: {
+    overall: "bad",
+    fields: {
+      waveHeightFt: { flag: "bad", reasons: ["spike"] },
+      waterTempF: { flag: "bad", reasons: ["out of range"] },
+    },
+  },
+};
+
+test("bad readings are missing on the card and in the text report", () => {
+  const svg = renderCardSvg(data);
+  const report = textReport(data);
+  for (const bad of ["38.7", "131.3"]) {
+    assert.equal(svg.includes(bad), false, `card shows ${bad}`);
+    assert.equal(report.includes(bad), false, `report shows ${bad}`);
+  }
+  assert.match(svg, /9–13 kts W/);
+});
@@ -0,0 +1,79 @@
+// test/climatology.test.js
+// lib/climatology.js against the two synthetic LJPC1 years in
+// fixtures/climate (written by scripts/make-climate-fixtures.js: 3-hourly,
+// seasonal, seeded, so the numbers below stay put until it changes).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+
+process.env.CLIMATE_DIR = fileURLToPath(new URL("../fixtures/climate/", import.meta.url));
+process.env.LOG_LEVEL = "silent";
+const {
+  MIN_DAYS_PER_MONTH,
+  addRecords,
+  climateContext,
+  createDailySums,
+  getClimatology,
+  summarize,
+} = await import("../lib/climatology.js");
+const { getStation } = await import("../lib/stations.js");
+
+const station = getStation("scripps");
+const summary = await getClimatology(station);
+
+test("both archive years make a summary for every month", () => {
+  assert.deepEqual(summary.files, ["ljpc1h2022.txt.gz", "ljpc1h2023.txt.gz"]);
+  assert.equal(summary.from, "2022-01-01T00:00:00.000Z");
+  assert.equal(summary.to, "2023-12-31T21:00:00.000Z");
+  for (let month = 1; month <= 12; month++) {
+    for (const [field, stats] of Object.entries(summary.months[month])) {
+      assert.ok(stats.days >= MIN_DAYS_PER_MONTH, `${month} ${field}`);
+      assert.equal(stats.p.length, 21);
+      assert.deepEqual([...stats.p].sort((a, b) => a - b), stats.p, `${month} ${field} percentiles in order`);
+    }
+  }
+  // The generator's seasons: bigger, longer waves and colder water in winter
+  assert.ok(summary.months[1].waveHeightM.mean > summary.months[7].waveHeightM.mean);
+  assert.ok(summary.months[1].waterTempC.mean < summary.months[7].waterTempC.mean);
+});
+
+test("a reading is placed against its month", () => {
+  // Mid-January, local time, at the month's median wave height
+  const context = climateContext(summary, {
+    updatedIso: "2024-01-15T20:00:00Z",
+    waveHeightM: summary.months[1].waveHeightM.p[10],
+    dominantPeriodSec: 30,
+    waterTempC: 10,
+  }, station.lon);
+
+  assert.equal(context.month, 1);
+  assert.equal(context.monthName, "January");
+  assert.deepEqual(context.years, { from: 2022, to: 2023 });
+  assert.deepEqual(context.waveHeight, { percentile: 50, medianFt: 4.2, days: 61 });
+  // Beyond the table either way
+  assert.equal(context.period.percentile, 100);
+  assert.equal(context.period.medianSec, 14.4);
+  assert.deepEqual(context.waterTemp, { percentile: 0, normalC: 15.5, normalF: 60, diffF: -10, days: 62 });
+});
+
+test("the local month decides, not the UTC one", () => {
+  // 2024-02-01 05:00 UTC is still January 31 in La Jolla
+  const context = climateContext(summary, { updatedIso: "2024-02-01T05:00:00Z", waveHeightM: 1 }, station.lon);
+  assert.equal(context.month, 1);
+  assert.equal(context.period, null);
+});
+
+test("months without enough days have no context", () => {
+  const sums = addRecords(createDailySums(), Array.from({ length: 10 * 8 }, (_, i) => ({
+    time: new Date(Date.parse("2023-06-01T00:00:00Z") + i * 3 * 3600000),
+    waveHeightM: 1,
+    dominantPeriodSec: 10,
+    waterTempC: 20,
+  })), station.lon);
+  const short = summarize(sums);
+  assert.equal(short.months[6].waveHeightM, null);
+  const context = climateContext(short, { updatedIso: "2023-06-15T20:00:00Z", waveHeightM: 1, waterTempC: 20 }, station.lon);
+  assert.deepEqual([context.waveHeight, context.period, context.waterTemp], [null, null, null]);
+  assert.equal(climateContext(null, { updatedIso: "2023-06-15T20:00:00Z" }, station.lon), null);
+});
@@ -0,0 +1,48 @@
+// test/history.test.js
+// /api/surf/[station]/history against the recorded sources in
+// fixtures/sources: Scripps merges CDIP waves with NDBC wind and water, which
+// report at different minutes.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SOURCE_PROVIDER = "fixture";
+process.env.LOG_LEVEL = "silent";
+const { default: history, downsample } = await import("../api/surf/[station]/history.js");
+
+// The handler's response: { status, headers, body }
+async function get(query) {
+  const out = { status: 200, headers: {}, body: null };
+  const res = {
+    setHeader: (k, v) => { out.headers[k] = v; },
+    status(code) { out.status = code; return this; },
+    json(body) { out.body = body; },
+    send(body) { out.body = body; },
+    end() {},
+  };
+  await history({ method: "GET", headers: {}, query }, res);
+  return out;
+}
+
+test("hourly rows carry both sources' fields", async () => {
+  const { status, body } = await get({ station: "scripps", hours: "6", interval: "60", fields: "waveHeightFt,windKts,waterTempF" });
+  assert.equal(status, 200);
+  assert.notEqual(body.fieldSources.waveHeightFt, body.fieldSources.windKts);
+  assert.ok(body.count >= 5);
+  for (const obs of body.observations) {
+    assert.ok(obs.waveHeightFt != null && obs.windKts != null && obs.waterTempF != null, obs.updatedIso);
+  }
+});
+
+test("each field's newest reading in the bucket wins", () => {
+  const rows = downsample([
+    { updatedIso: "2024-01-15T18:06:00Z", windKts: 8, waveHeightFt: null },
+    { updatedIso: "2024-01-15T18:36:00Z", windKts: 10, waveHeightFt: null },
+    { updatedIso: "2024-01-15T18:40:00Z", windKts: null, waveHeightFt: 3.2 },
+    { updatedIso: "2024-01-15T19:06:00Z", windKts: 11, waveHeightFt: null },
+  ], ["updatedIso", "windKts", "waveHeightFt"], 60);
+  assert.deepEqual(rows, [
+    { updatedIso: "2024-01-15T18:40:00Z", windKts: 10, waveHeightFt: 3.2 },
+    { updatedIso: "2024-01-15T19:06:00Z", windKts: 11, waveHeightFt: null },
+  ]);
+});
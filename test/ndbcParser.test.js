@@ -0,0 +1,169 @@
+// test/ndbcParser.test.js
+// lib/ndbcParser.js against the files in fixtures/ndbc; the expected values
+// are the ones fixtures/ndbc/README.md lists for each file.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { parseNdbc } from "../lib/ndbcParser.js";
+
+const FIXTURES = new URL("../fixtures/ndbc/", import.meta.url);
+
+async function parseFixture(name) {
+  return parseNdbc(await readFile(new URL(name, FIXTURES), "utf8"), { source: name });
+}
+
+const iso = (date) => (date ? date.toISOString() : null);
+const close = (actual, expected, digits = 2) =>
+  assert.ok(Math.abs(actual - expected) < 10 ** -digits / 2, `expected ${actual} ≈ ${expected}`);
+
+test("LJPC1.txt: realtime stdmet, per-column filler, signed PTDY", async () => {
+  const { format, records, warnings } = await parseFixture("LJPC1.txt");
+  assert.equal(format, "stdmet");
+  assert.deepEqual(warnings, []);
+
+  // Newest first; the 18:06 row has wind but no waves
+  const [first, second, third] = records;
+  assert.equal(iso(first.time), "2024-01-15T18:06:00.000Z");
+  assert.equal(first.windSpeedMs, 5);
+  assert.equal(first.waveHeightM, null);
+  assert.equal(first.pressureTendencyHpa, -0.5);
+
+  // A 9 s period is a reading, not filler
+  assert.equal(iso(second.time), "2024-01-15T18:00:00.000Z");
+  assert.equal(second.dominantPeriodSec, 9);
+  assert.equal(second.meanWaveDirDeg, 265);
+
+  // 999 / 99.0 filler and MM are missing
+  assert.equal(third.windDirDeg, null);
+  assert.equal(third.windSpeedMs, null);
+  assert.equal(third.gustMs, null);
+  assert.equal(third.pressureHpa, 1015.4);
+  assert.equal(third.visibilityNmi, null);
+  assert.equal(third.tideFt, null);
+});
+
+test("46225h2023.txt: historical stdmet, oldest first, VIS converted from mi", async () => {
+  const { format, columns, records } = await parseFixture("46225h2023.txt");
+  assert.equal(format, "stdmet");
+
+  const [first, second] = records;
+  assert.equal(iso(first.time), "2023-10-01T00:00:00.000Z");
+  assert.ok(second.time > first.time);
+  assert.equal(first.waveHeightM, 1.05);
+  assert.equal(first.windSpeedMs, null);
+  assert.equal(first.pressureHpa, null);
+  assert.equal(first.tideFt, null);
+
+  // Statute miles in the units line, nautical miles out: 10 mi -> 8.69 nmi
+  const vis = columns.find((c) => c.key === "visibilityNmi");
+  assert.equal(vis.sourceUnit, "mi");
+  assert.equal(vis.unit, "nmi");
+  assert.equal(first.visibilityNmi, null);
+  close(second.visibilityNmi, 8.69);
+});
+
+test("46042h1998.txt: pre-2005 header without units or minutes", async () => {
+  const { format, columns, records } = await parseFixture("46042h1998.txt");
+  assert.equal(format, "stdmet");
+  assert.ok(columns.every((c) => c.sourceUnit === null));
+
+  const [first] = records;
+  assert.equal(iso(first.time), "1998-10-01T00:00:00.000Z");
+  // WD / BAR are the old names for WDIR / PRES
+  assert.equal(first.windDirDeg, 300);
+  assert.equal(first.pressureHpa, 1013.1);
+  assert.equal(first.meanWaveDirDeg, null);
+  assert.equal(first.dewPointC, null);
+  assert.equal(first.visibilityNmi, null);
+});
+
+test("46225.spec: compass-point directions and text steepness", async () => {
+  const { format, records } = await parseFixture("46225.spec");
+  assert.equal(format, "spec");
+
+  const [first, second, empty] = records;
+  assert.equal(first.swellHeightM, 1.1);
+  assert.equal(first.swellDirDeg, 247.5); // WSW
+  assert.equal(first.windWaveDirDeg, 270); // W
+  assert.equal(first.meanWaveDirDeg, 265); // plain degrees pass through
+  assert.equal(first.steepness, "AVERAGE");
+  assert.equal(second.windWaveDirDeg, 315); // NW
+  assert.equal(second.steepness, "SWELL");
+
+  // All-missing row: MM and N/A
+  assert.equal(iso(empty.time), "2024-01-15T17:00:00.000Z");
+  for (const [key, value] of Object.entries(empty)) {
+    if (key !== "time") assert.equal(value, null, key);
+  }
+});
+
+test("46225.ocean: oceanographic columns and units", async () => {
+  const { format, columns, records } = await parseFixture("46225.ocean");
+  assert.equal(format, "ocean");
+  assert.deepEqual(
+    columns.map((c) => [c.key, c.sourceUnit]).slice(0, 4),
+    [["depthM", "m"], ["oceanTempC", "degC"], ["conductivityMsCm", "mS/cm"], ["salinityPsu", "psu"]]
+  );
+
+  const [first] = records;
+  assert.equal(first.depthM, 1);
+  assert.equal(first.oceanTempC, 16.42);
+  assert.equal(first.conductivityMsCm, 43.1);
+  assert.equal(first.salinityPsu, 33.45);
+  assert.equal(first.oxygenSaturationPct, null);
+  assert.equal(first.ph, null);
+});
+
+test("LJPC1.cwind: GTIME on the row's date, or the day before", async () => {
+  const { format, records } = await parseFixture("LJPC1.cwind");
+  assert.equal(format, "cwind");
+
+  const [first, second, third] = records;
+  assert.equal(first.gustDirDeg, null);
+  assert.equal(first.gustMs, null);
+  assert.equal(first.gustTime, null);
+  assert.equal(iso(second.gustTime), "2024-01-15T17:43:00.000Z");
+  assert.equal(iso(third.time), "2024-01-15T00:10:00.000Z");
+  assert.equal(iso(third.gustTime), "2024-01-14T23:58:00.000Z");
+});
+
+test("46225.data_spec: separation frequency and energy bins", async () => {
+  const { format, quantity, unit, records } = await parseFixture("46225.data_spec");
+  assert.equal(format, "data_spec");
+  assert.equal(quantity, "energyDensity");
+  assert.equal(unit, "m2/Hz");
+
+  const [first, second] = records;
+  assert.equal(first.separationFrequencyHz, 0.15);
+  assert.equal(first.bins.length, 5);
+  const peak = first.bins.reduce((a, b) => (b.value > a.value ? b : a));
+  assert.deepEqual(peak, { frequencyHz: 0.068, value: 1.83 });
+  // 9.999 is the missing separation frequency
+  assert.equal(second.separationFrequencyHz, null);
+  assert.equal(second.bins.length, 5);
+});
+
+test("46225.swdir: direction bins with 999.0 as missing", async () => {
+  const { format, quantity, unit, records } = await parseFixture("46225.swdir");
+  assert.equal(format, "swdir");
+  assert.equal(quantity, "alpha1");
+  assert.equal(unit, "degT");
+
+  const [first] = records;
+  assert.deepEqual(first.bins.map((b) => b.frequencyHz), [0.033, 0.038, 0.068, 0.15, 0.485]);
+  assert.deepEqual(first.bins.map((b) => b.value), [null, 254, 265, 281, 300]);
+});
+
+test("units the parser can't convert are reported, not guessed", () => {
+  const text = [
+    "#YY  MM DD hh mm WSPD  ATMP",
+    "#yr  mo dy hr mn  kts  furlong",
+    "2024 01 15 18 00 10.0  60.0",
+  ].join("\n");
+  const { records, warnings } = parseNdbc(text, { source: "TEST.txt" });
+  close(records[0].windSpeedMs, 5.14);
+  assert.equal(records[0].airTempC, 60);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /ATMP/);
+});
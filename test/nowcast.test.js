@@ -0,0 +1,30 @@
+// test/nowcast.test.js
+// The station's own diurnal wind in lib/nowcast.js needs enough days, however
+// many readings each day brings.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diurnalWind } from "../lib/nowcast.js";
+
+const LON = -117.257;
+
+// Wind readings every `stepMin` minutes for `days` days
+function readings(days, stepMin) {
+  const start = Date.parse("2024-01-01T00:00:00Z");
+  return Array.from({ length: (days * 1440) / stepMin }, (_, i) => ({
+    updatedIso: new Date(start + i * stepMin * 60000).toISOString(),
+    windKts: 8,
+    windDirDeg: 270,
+  }));
+}
+
+test("4 days of 6-minute readings aren't enough", () => {
+  assert.equal(diurnalWind(readings(4, 6), LON), null);
+});
+
+test("5 days of hourly readings are", () => {
+  const hours = diurnalWind(readings(5, 60), LON);
+  assert.equal(hours.length, 24);
+  assert.equal(hours[12].kts, 8);
+  assert.equal(Math.round(hours[12].dirDeg), 270);
+});
@@ -0,0 +1,38 @@
+// test/sessions.test.js
+// Session windows in lib/sessions.js start and end on whole minutes, even
+// when today's starts now.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bestSessions } from "../lib/sessions.js";
+import { loadProfile } from "../lib/profiles.js";
+import { getStation } from "../lib/stations.js";
+
+const station = getStation("scripps");
+// 10:16:50.338 PST, mid-morning at Scripps
+const now = new Date("2024-01-15T18:16:50.338Z");
+
+// Hourly outlook from the next hour on, all rating the same
+const outlook = Array.from({ length: 30 }, (_, i) => ({
+  time: new Date(Date.parse("2024-01-15T19:00:00Z") + i * 3600000).toISOString(),
+  waveHeightFt: { value: 1 },
+  periodSec: { value: 6 },
+  windKts: { value: 15 },
+  windDirDeg: 270,
+}));
+
+test("today's window starting now is rounded up to the minute", () => {
+  const data = {
+    updatedIso: "2024-01-15T18:10:00.000Z",
+    rating: { stars: 5, text: "Epic", score: 1 },
+    windKts: 2,
+    swellDirDeg: 270,
+  };
+  const [today, tomorrow] = bestSessions(data, outlook, loadProfile(station), station, { now });
+  assert.equal(today.best.start, "2024-01-15T18:17:00.000Z");
+  assert.equal(today.best.end, "2024-01-15T19:16:00.000Z");
+  for (const { best } of [today, tomorrow].filter((d) => d.best)) {
+    assert.equal(Date.parse(best.start) % 60000, 0);
+    assert.equal(Date.parse(best.end) % 60000, 0);
+  }
+});
@@ -0,0 +1,54 @@
+// test/station.test.js
+// /api/surf/[station] conditional requests against the recorded sources in
+// fixtures/sources and fixtures/tides. The sources are read from a copy
+// without manifest.json, so their times stay as recorded instead of moving
+// with the clock.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cp, mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const fixtureCopy = await mkdtemp(join(tmpdir(), "surf-sources-"));
+for (const dir of ["ndbc", "cdip"]) {
+  await cp(fileURLToPath(new URL(`../fixtures/sources/${dir}`, import.meta.url)), join(fixtureCopy, dir), { recursive: true });
+}
+test.after(() => rm(fixtureCopy, { recursive: true, force: true }));
+
+process.env.SOURCE_PROVIDER = "fixture";
+process.env.SOURCE_FIXTURE_DIR = fixtureCopy;
+process.env.TIDE_PROVIDER = "fixture";
+process.env.LOG_LEVEL = "silent";
+const { default: conditions } = await import("../api/surf/[station].js");
+const { getConditions } = await import("../lib/conditions.js");
+const { getStation } = await import("../lib/stations.js");
+
+async function get(query, headers = {}) {
+  const out = { status: 200, headers: {}, body: null };
+  const res = {
+    setHeader: (k, v) => { out.headers[k] = v; },
+    status(code) { out.status = code; return this; },
+    json(body) { out.body = body; },
+    send(body) { out.body = body; },
+    end() {},
+  };
+  await conditions({ method: "GET", headers, query }, res);
+  return out;
+}
+
+test("a rebuilt payload gets a new validator, even for the same observation", async () => {
+  const first = await get({ station: "scripps" });
+  assert.equal(first.status, 200);
+  const again = await get({ station: "scripps" }, { "if-none-match": first.headers.ETag });
+  assert.equal(again.status, 304);
+
+  // Same buoy reading, built later: tide state and sessions may have moved on
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  await getConditions(getStation("scripps"), Date.now(), { fresh: true });
+  const rebuilt = await get({ station: "scripps" }, { "if-none-match": first.headers.ETag });
+  assert.equal(rebuilt.status, 200);
+  assert.equal(rebuilt.body.updatedIso, first.body.updatedIso);
+  assert.notEqual(rebuilt.headers.ETag, first.headers.ETag);
+});
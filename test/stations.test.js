@@ -0,0 +1,16 @@
+// test/stations.test.js
+// Station lookup in lib/stations.js.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getStation } from "../lib/stations.js";
+
+test("stations are found by slug, case-insensitively", () => {
+  assert.equal(getStation("Scripps").id, "scripps");
+});
+
+test("inherited object names aren't stations", () => {
+  for (const slug of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+    assert.equal(getStation(slug), null, slug);
+  }
+});
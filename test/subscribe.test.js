@@ -0,0 +1,42 @@
+// test/subscribe.test.js
+// /api/alerts/subscribe error statuses: the client's mistakes are 400s, a
+// failing cache backend is a generic 500. The file backend points below a
+// regular file here, so every write fails.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+
+process.env.CACHE_BACKEND = "file";
+process.env.CACHE_DIR = fileURLToPath(import.meta.url);
+process.env.VAPID_PUBLIC_KEY = "public";
+process.env.VAPID_PRIVATE_KEY = "private";
+process.env.LOG_LEVEL = "silent";
+const { default: subscribe } = await import("../api/alerts/subscribe.js");
+
+async function post(body) {
+  const out = { status: 200, body: null };
+  const res = {
+    setHeader() {},
+    status(code) { out.status = code; return this; },
+    json(data) { out.body = data; },
+    end() {},
+  };
+  await subscribe({ method: "POST", headers: {}, query: {}, body }, res);
+  return out;
+}
+
+const subscription = { endpoint: "https://push.example/1", keys: { p256dh: "key", auth: "auth" } };
+
+test("bad rules are the client's error", async () => {
+  const { status, body } = await post({ subscription, rules: [{ station: "nowhere", when: "rating >= 4" }] });
+  assert.equal(status, 400);
+  assert.match(body.error, /Unknown station/);
+});
+
+test("backend failures are a 500 without the backend's message", async () => {
+  const { status, body } = await post({ subscription, rules: [{ station: "scripps", when: "rating >= 4" }] });
+  assert.equal(status, 500);
+  assert.equal(body.error, "Could not update the alert subscription");
+  assert.equal(body.detail, undefined);
+});
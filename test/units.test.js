@@ -0,0 +1,16 @@
+// test/units.test.js
+// lib/units.js preference resolution.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveUnits } from "../lib/units.js";
+
+test("presets and per-dimension overrides", () => {
+  assert.deepEqual(resolveUnits({ system: "metric", speed: "ms" }), { system: "metric", height: "m", speed: "ms", temp: "C" });
+});
+
+test("unknown and inherited names fall back to the default", () => {
+  for (const system of ["nautical", "constructor", "__proto__", "toString"]) {
+    assert.deepEqual(resolveUnits({ system, height: "valueOf" }), { system: "imperial", height: "ft", speed: "kts", temp: "F" }, system);
+  }
+});
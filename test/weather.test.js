@@ -0,0 +1,45 @@
+// test/weather.test.js
+// lib/weather.js: tendency bands at their stated bounds, and wind sectors
+// that reach north.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pressureTendency, weatherOutlook } from "../lib/weather.js";
+
+const T0 = Date.parse("2024-01-15T18:00:00Z");
+const at = (hoursAgo, fields) => ({ updatedIso: new Date(T0 - hoursAgo * 3600000).toISOString(), ...fields });
+
+// Pressure now and 3 hours earlier, newest first
+const pressureSeries = (change) => [
+  at(0, { barometricPressureHpa: 1015 + change }),
+  at(3, { barometricPressureHpa: 1015 }),
+];
+
+test("each stated bound belongs to its band", () => {
+  const cases = [
+    [0, "steady", "steady"],
+    [0.04, "steady", "steady"],
+    [0.1, "rising", "slowly"],
+    [-1.5, "falling", "slowly"],
+    [1.6, "rising", null],
+    [-3.5, "falling", null],
+    [3.6, "rising", "quickly"],
+    [-6, "falling", "quickly"],
+    [6.1, "rising", "very rapidly"],
+  ];
+  for (const [change, tendency, rate] of cases) {
+    const p = pressureTendency(pressureSeries(change));
+    assert.deepEqual([p.tendency, p.rate], [tendency, rate], `${change} hPa`);
+  }
+});
+
+test("a wind direction reported as 360 is in the Santa Ana sector", () => {
+  const series = [
+    at(0, { windDirDeg: 360, windKts: 12, windGustKts: 18 }),
+    at(1, { windDirDeg: 20, windKts: 10, windGustKts: 16 }),
+    at(3, { windDirDeg: 15, windKts: 9, windGustKts: 14 }),
+  ];
+  const { events } = weatherOutlook(series);
+  assert.deepEqual(events.map((e) => e.type), ["santa-ana"]);
+  assert.match(events[0].reasons[0], /^3 readings/);
+});
@@ -0,0 +1,1227 @@
+// widget.js - Surf forecast widget logic
+//
+// createSurfWidget(root, options) drives one card's markup inside `root` (the
+// shadow root of a <scripps-surf-widget>, see scripps-surf-widget.js). Element
+// lookups and state are per widget, so several can share a page.
+
+import {
+  STATIONS,
+  DEFAULT_STATION,
+  getStation,
+  stationDisplayName
+} from "./lib/stations.js";
+import {
+  conditionsFromResponse,
+  scoreConditions,
+  swellWindowOf
+} from "./lib/rating.js";
+import {
+  UNIT_PRESETS,
+  UNIT_LABELS,
+  UNIT_OPTIONS,
+  convert,
+  convertDelta,
+  formatRange,
+  formatValue,
+  kindOfUnit,
+  resolveUnits,
+  unitLabel
+} from "./lib/units.js";
+import { classifyWind, degToCompass, isGusty } from "./lib/wind.js";
+import { surfHeightFromResponse } from "./lib/surfModel.js";
+import { comfortFromResponse } from "./lib/comfort.js";
+import { describeFromBuoy } from "./lib/describe.js";
+import { qcFlag, qcReasons } from "./lib/qc.js";
+import { nowcastConditions } from "./lib/nowcast.js";
+import {
+  loadConditions,
+  loadHistory,
+  saveConditions,
+  saveHistory
+} from "./lib/offlineStore.js";
+
+// Configuration
+export const DEFAULT_API_BASE = "/api/surf";
+const REFRESH_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const MAX_RETRIES = 3;
+const INITIAL_RETRY_DELAY = 1000; // 1 second
+const TREND_MAX_HOURS = 48;
+const LATER_STEP_HOURS = 2; // One "later today" cell every N nowcast hours
+const TREND_WINDOW_HOURS = 6; // Rising/dropping is judged over the last 6 hours
+const UNITS_STORAGE_KEY = "surfWidgetUnits";
+
+// Metrics plotted in the Trends section. `threshold` is the change over
+// TREND_WINDOW_HOURS (in the API's ft/s/kts/°F) below which the metric counts as steady.
+const TREND_METRICS = [
+  { key: "waveHeightFt", label: "Wave height", kind: "height", digits: 1, threshold: 0.3, color: "#0ea5e9" },
+  { key: "dominantPeriodSec", label: "Period", kind: "period", digits: 0, threshold: 1, color: "#6366f1" },
+  { key: "windKts", label: "Wind", kind: "speed", digits: 1, threshold: 2, color: "#22c55e" },
+  { key: "waterTempF", label: "Water", kind: "temp", digits: 1, threshold: 0.5, color: "#f59e0b" }
+];
+
+// Unit preference, remembered in localStorage and shared by every widget on the site
+function loadUnitPreference() {
+  try {
+    return resolveUnits(JSON.parse(localStorage.getItem(UNITS_STORAGE_KEY)) || {});
+  } catch (e) {
+    return resolveUnits();
+  }
+}
+
+function saveUnitPreference(units) {
+  try {
+    localStorage.setItem(UNITS_STORAGE_KEY, JSON.stringify(units));
+  } catch (e) {
+    // Private browsing / storage disabled: the choice lasts for this page only
+  }
+}
+
+// A preset name ("metric") or a preference object
+function toUnits(value) {
+  return resolveUnits(typeof value === "string" ? { system: value } : value || {});
+}
+
+// Utility functions
+function formatTime(iso) {
+  if (!iso) return "Time unavailable";
+  const d = new Date(iso);
+  return d.toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit"
+  });
+}
+
+function formatRelativeTime(iso) {
+  if (!iso) return "Time unavailable";
+  const d = new Date(iso);
+  const now = new Date();
+  const diffMs = now - d;
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMs / 3600000);
+  const diffDays = Math.floor(diffMs / 86400000);
+
+  if (diffMins < 1) return "Just now";
+  if (diffMins < 60) return `${diffMins} min ago`;
+  if (diffHours < 24) return `${diffHours} hr ago`;
+  if (diffDays < 7) return `${diffDays} day${diffDays > 1 ? "s" : ""} ago`;
+  return formatTime(iso);
+}
+
+// Rating profiles (lib/profiles/<id>.json) by id, shared by every widget
+const profileCache = new Map();
+
+async function loadProfile(station) {
+  const id = station.profile || station.id;
+  if (!profileCache.has(id)) {
+    const resp = await fetch(new URL(`./lib/profiles/${id}.json`, import.meta.url));
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+    }
+    profileCache.set(id, await resp.json());
+  }
+  return profileCache.get(id);
+}
+
+// Star rating for a set of conditions, scored with the same engine the API uses.
+// Returns { stars, text, score, factors }.
+function computeRating(conditions, profile, station) {
+  return scoreConditions(conditions, profile, {
+    swellWindow: station.swellWindow,
+    beachFacingDeg: station.beachFacingDeg
+  });
+}
+
+function formatClock(iso) {
+  if (!iso) return "--";
+  return new Date(iso).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" });
+}
+
+// Retry logic with exponential backoff
+async function fetchWithRetry(url, retries = MAX_RETRIES, delay = INITIAL_RETRY_DELAY) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
+
+      const resp = await fetch(url, { signal: controller.signal });
+      clearTimeout(timeoutId);
+
+      if (!resp.ok) {
+        throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+      }
+
+      return await resp.json();
+    } catch (error) {
+      if (i === retries - 1) {
+        throw error; // Last retry failed
+      }
+
+      // Exponential backoff: 1s, 2s, 4s
+      const backoffDelay = delay * Math.pow(2, i);
+      console.warn(`Fetch attempt ${i + 1} failed, retrying in ${backoffDelay}ms...`, error);
+      await new Promise(resolve => setTimeout(resolve, backoffDelay));
+    }
+  }
+}
+
+// ---------- Trends ----------
+
+// Least-squares slope (units per hour) over the last TREND_WINDOW_HOURS,
+// scaled to the change across that window.
+function computeTrend(points, threshold) {
+  if (points.length < 2) return { direction: "unknown", change: null };
+
+  const endT = points[points.length - 1].t;
+  const recent = points.filter(p => p.t >= endT - TREND_WINDOW_HOURS * 3600000);
+  if (recent.length < 2) return { direction: "unknown", change: null };
+
+  const xs = recent.map(p => (p.t - endT) / 3600000);
+  const ys = recent.map(p => p.v);
+  const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < xs.length; i++) {
+    num += (xs[i] - meanX) * (ys[i] - meanY);
+    den += (xs[i] - meanX) ** 2;
+  }
+  if (den === 0) return { direction: "steady", change: 0 };
+
+  const change = (num / den) * TREND_WINDOW_HOURS;
+  let direction = "steady";
+  if (change >= threshold) direction = "rising";
+  else if (change <= -threshold) direction = "dropping";
+  return { direction, change };
+}
+
+function trendLabel(direction) {
+  if (direction === "rising") return "↑ rising";
+  if (direction === "dropping") return "↓ dropping";
+  if (direction === "steady") return "→ steady";
+  return "--";
+}
+
+function svgEl(name, attrs) {
+  const el = document.createElementNS("http://www.w3.org/2000/svg", name);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+  return el;
+}
+
+// Check if data is stale (> 1 hour old)
+function isDataStale(updatedIso) {
+  if (!updatedIso) return true;
+  const dataTime = new Date(updatedIso);
+  const now = new Date();
+  const diffHours = (now - dataTime) / 3600000;
+  return diffHours > 1;
+}
+
+// Create the controller for one widget.
+//   root     Document or ShadowRoot holding the card markup
+//   options  station          registry slug (default DEFAULT_STATION)
+//            units            preset name or preference; omit to use the visitor's saved choice
+//            endpoint         API base (default DEFAULT_API_BASE)
+//            compact          skip the trends
+//            host             element that receives surf:update / surf:error events
+//            onStationChange  called when the visitor picks another station
+export function createSurfWidget(root, options = {}) {
+  const byId = id => root.getElementById(id);
+  const host = options.host || null;
+
+  let endpoint = options.endpoint || DEFAULT_API_BASE;
+  let compact = Boolean(options.compact);
+  let currentStation = getStation(options.station) || STATIONS[DEFAULT_STATION];
+
+  // Trend state: last history response and selected range
+  let trendHistory = null;
+  let trendHours = TREND_MAX_HOURS;
+
+  // Last rendered response, so a unit change can re-render without refetching
+  let lastConditions = null;
+
+  // Units fixed by the embedding page aren't saved over the visitor's own choice
+  let persistUnits = options.units == null;
+  let units = persistUnits ? loadUnitPreference() : toUnits(options.units);
+
+  let started = false;
+  let wired = false;
+  let refreshTimer = null;
+
+  const fmtHeight = (ft, digits = 1) => formatValue("height", ft, units, digits);
+  const fmtSpeed = (kts, digits = 1) => formatValue("speed", kts, units, digits);
+  const fmtTemp = (f, digits = 1) => formatValue("temp", f, units, digits);
+
+  function apiEndpoint() {
+    return `${endpoint}/${currentStation.id}`;
+  }
+
+  function emit(type, detail) {
+    if (!host) return;
+    host.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+
+  // "Why 3 stars?" list under the rating
+  function renderRatingBreakdown(rating) {
+    const list = byId("rating-factors");
+    const details = byId("rating-why");
+    if (!list || !details) return;
+
+    list.innerHTML = "";
+    (rating.factors || []).forEach(f => {
+      const li = document.createElement("li");
+      const kind = kindOfUnit(f.unit);
+      let value = "--";
+      if (f.value != null) {
+        if (f.unit === "°") value = `${f.value.toFixed(0)}°`;
+        else if (kind) value = formatValue(kind, f.value, units, kind === "period" ? 0 : 1);
+        else value = `${f.value.toFixed(1)} ${f.unit}`;
+      }
+      li.textContent = `${f.label}: ${value}${f.note ? ` – ${f.note}` : ""} (${f.points.toFixed(1)}/${f.weight})`;
+      list.appendChild(li);
+    });
+    details.style.display = rating.factors && rating.factors.length > 0 ? "" : "none";
+  }
+
+  function setStars(num) {
+    const el = byId("surf-stars");
+    if (!el) return;
+    const full = "★";
+    const empty = "☆";
+    const n = Math.max(0, Math.min(5, num || 0));
+    el.textContent = full.repeat(n) + empty.repeat(5 - n);
+  }
+
+  function setError(msg) {
+    const box = byId("error-box");
+    if (!box) return;
+    box.textContent = msg;
+    box.style.display = "block";
+  }
+
+  function clearError() {
+    const box = byId("error-box");
+    if (!box) return;
+    box.textContent = "";
+    box.style.display = "none";
+  }
+
+  function setLoading(isLoading) {
+    const card = root.querySelector(".surf-card");
+    if (!card) return;
+    if (isLoading) {
+      card.classList.add("loading");
+    } else {
+      card.classList.remove("loading");
+    }
+  }
+
+  // "3.3 ft @ 14 s WSW"
+  function formatComponent(comp) {
+    if (!comp) return "--";
+    const height = fmtHeight(comp.heightFt);
+    const period = comp.periodSec != null ? `${comp.periodSec.toFixed(0)} s` : "-- s";
+    const dir = comp.dirDeg != null ? ` ${degToCompass(comp.dirDeg)}` : "";
+    return `${height} @ ${period}${dir}`;
+  }
+
+  // "3.2 ft ↑ rising"
+  function formatTideNow(tide) {
+    if (!tide || tide.heightFt == null) return fmtHeight(null);
+    const arrow = tide.state === "rising" ? "↑" : "↓";
+    return `${fmtHeight(tide.heightFt)} ${arrow} ${tide.state}`;
+  }
+
+  // "High 5.5 ft at 7:57 PM"
+  function formatTideEvent(event) {
+    if (!event) return "";
+    const kind = event.type === "high" ? "High" : "Low";
+    return `${kind} ${fmtHeight(event.heightFt)} at ${formatClock(event.time)}`;
+  }
+
+  // Draw a sparkline for one metric and wire up the hover tooltip.
+  function renderSparkline(points, metric, startT, endT) {
+    const width = 160;
+    const height = 32;
+    const pad = 3;
+
+    const svg = svgEl("svg", {
+      class: "trend-spark",
+      viewBox: `0 0 ${width} ${height}`,
+      preserveAspectRatio: "none",
+      role: "img",
+      "aria-label": `${metric.label} over the last ${trendHours} hours`
+    });
+
+    const values = points.map(p => p.v);
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (max - min < metric.threshold) {
+      // Keep flat-ish series from being blown up into noise
+      const mid = (max + min) / 2;
+      min = mid - metric.threshold / 2;
+      max = mid + metric.threshold / 2;
+    }
+
+    const span = Math.max(1, endT - startT);
+    const xOf = t => pad + ((t - startT) / span) * (width - pad * 2);
+    const yOf = v => height - pad - ((v - min) / (max - min)) * (height - pad * 2);
+
+    const d = points
+      .map((p, i) => `${i === 0 ? "M" : "L"}${xOf(p.t).toFixed(1)},${yOf(p.v).toFixed(1)}`)
+      .join(" ");
+    svg.appendChild(svgEl("path", {
+      d,
+      fill: "none",
+      stroke: metric.color,
+      "stroke-width": "1.5",
+      "vector-effect": "non-scaling-stroke"
+    }));
+
+    const cursor = svgEl("line", {
+      class: "trend-cursor",
+      y1: "0",
+      y2: String(height),
+      stroke: "#94a3b8",
+      "stroke-width": "1",
+      "vector-effect": "non-scaling-stroke",
+      visibility: "hidden"
+    });
+    svg.appendChild(cursor);
+
+    const tooltip = byId("trend-tooltip");
+
+    svg.addEventListener("pointermove", (evt) => {
+      const rect = svg.getBoundingClientRect();
+      const t = startT + ((evt.clientX - rect.left) / rect.width) * span;
+      let nearest = points[0];
+      for (const p of points) {
+        if (Math.abs(p.t - t) < Math.abs(nearest.t - t)) nearest = p;
+      }
+      const x = xOf(nearest.t);
+      cursor.setAttribute("x1", x);
+      cursor.setAttribute("x2", x);
+      cursor.setAttribute("visibility", "visible");
+
+      if (tooltip) {
+        const parent = tooltip.parentElement || document.body;
+        const parentRect = parent.getBoundingClientRect();
+        tooltip.textContent = `${nearest.v.toFixed(metric.digits)} ${metric.unit} · ${formatTime(new Date(nearest.t).toISOString())}`;
+        tooltip.style.left = `${rect.left - parentRect.left + (x / width) * rect.width}px`;
+        tooltip.style.top = `${rect.top - parentRect.top}px`;
+        tooltip.style.display = "block";
+      }
+    });
+
+    svg.addEventListener("pointerleave", () => {
+      cursor.setAttribute("visibility", "hidden");
+      if (tooltip) tooltip.style.display = "none";
+    });
+
+    return svg;
+  }
+
+  function renderTrends() {
+    const list = byId("trend-list");
+    if (!list || !trendHistory) return;
+
+    const observations = trendHistory.observations || [];
+    const endT = observations.length > 0
+      ? Date.parse(observations[observations.length - 1].updatedIso)
+      : Date.now();
+    const startT = endT - trendHours * 3600000;
+
+    list.innerHTML = "";
+
+    TREND_METRICS.forEach(base => {
+      // Plot in the selected units
+      const metric = {
+        ...base,
+        unit: unitLabel(base.kind, units),
+        threshold: convertDelta(base.kind, base.threshold, units)
+      };
+      const points = observations
+        .map(o => ({ t: Date.parse(o.updatedIso), v: convert(base.kind, o[base.key], units) }))
+        .filter(p => p.v != null && p.t >= startT);
+
+      const row = document.createElement("div");
+      row.className = "trend-row";
+
+      const label = document.createElement("div");
+      label.className = "trend-label";
+      label.textContent = metric.label;
+      row.appendChild(label);
+
+      if (points.length < 2) {
+        const empty = document.createElement("div");
+        empty.className = "trend-empty";
+        empty.textContent = "No recent data";
+        row.appendChild(empty);
+        list.appendChild(row);
+        return;
+      }
+
+      row.appendChild(renderSparkline(points, metric, startT, endT));
+
+      const trend = computeTrend(points, metric.threshold);
+      const latest = points[points.length - 1];
+      const value = document.createElement("div");
+      value.className = "trend-value";
+      value.innerHTML =
+        `<span>${latest.v.toFixed(metric.digits)} ${metric.unit}</span>` +
+        `<span class="trend-dir trend-${trend.direction}">${trendLabel(trend.direction)}</span>`;
+      row.appendChild(value);
+
+      list.appendChild(row);
+    });
+  }
+
+  async function loadTrends() {
+    // Compact widgets hide the trends, so skip the history request
+    if (compact) return;
+
+    const station = currentStation;
+    const fields = TREND_METRICS.map(m => m.key).join(",");
+    const url = `${apiEndpoint()}/history?hours=${TREND_MAX_HOURS}&interval=60&fields=${fields}`;
+    try {
+      const history = await fetchWithRetry(url);
+      if (station !== currentStation) return;
+      trendHistory = history;
+      renderTrends();
+      saveHistory(station.id, history);
+    } catch (err) {
+      console.error("Error loading trend data:", err);
+      if (await showSavedTrends()) return;
+      const list = byId("trend-list");
+      if (list) list.innerHTML = `<div class="trend-empty">Trend data unavailable</div>`;
+    }
+  }
+
+  // Trends from the last history saved for this station. Returns false when there is none.
+  async function showSavedTrends() {
+    if (compact) return false;
+    const station = currentStation;
+    const saved = await loadHistory(station.id);
+    if (!saved || station !== currentStation) return false;
+    trendHistory = saved.history;
+    renderTrends();
+    return true;
+  }
+
+  function setupTrendRange() {
+    const buttons = root.querySelectorAll(".trend-range-btn");
+    buttons.forEach(btn => {
+      btn.addEventListener("click", () => {
+        trendHours = Number(btn.dataset.hours) || TREND_MAX_HOURS;
+        buttons.forEach(b => {
+          b.classList.toggle("active", b === btn);
+        });
+        renderTrends();
+      });
+    });
+  }
+
+  // Grey out a value whose readings QC flagged, with the reasons on hover.
+  // `fields` are the response fields the element shows; the worst flag wins.
+  function markQc(el, data, fields) {
+    if (!el) return;
+    const flagged = fields.filter(f => qcFlag(data, f) !== "good");
+    const bad = flagged.some(f => qcFlag(data, f) === "bad");
+    el.classList.toggle("qc-bad", bad);
+    el.classList.toggle("qc-suspect", flagged.length > 0 && !bad);
+    if (flagged.length > 0) {
+      el.title = `${bad ? "Bad" : "Suspect"} reading: ${flagged.flatMap(f => qcReasons(data, f)).join("; ")}`;
+    } else {
+      el.removeAttribute("title");
+    }
+  }
+
+  // Quick Read suffix for a value built from flagged readings
+  function qcNote(data, fields) {
+    const flags = fields.map(f => qcFlag(data, f));
+    if (flags.includes("bad")) return " (bad reading)";
+    if (flags.includes("suspect")) return " (suspect reading)";
+    return "";
+  }
+
+  // "Later today": every few nowcast hours with its projected height range,
+  // wind and the same star rating as the card
+  function renderLaterToday(data, profile, station) {
+    const section = byId("later-section");
+    const strip = byId("later-strip");
+    if (!section || !strip) return;
+
+    const now = Date.now();
+    const hours = ((data.nowcast && data.nowcast.hours) || [])
+      .filter(h => Date.parse(h.time) > now)
+      .filter((h, i) => (i + 1) % LATER_STEP_HOURS === 0);
+    strip.innerHTML = "";
+    section.style.display = hours.length > 0 && profile ? "" : "none";
+    if (section.style.display === "none") return;
+
+    hours.forEach(hour => {
+      const rating = computeRating(nowcastConditions(hour, data), profile, station);
+      const h = hour.waveHeightFt;
+      const cell = document.createElement("div");
+      cell.className = "later-cell";
+
+      const time = document.createElement("div");
+      time.className = "later-time";
+      time.textContent = new Date(hour.time).toLocaleTimeString(undefined, { hour: "numeric" });
+      const stars = document.createElement("div");
+      stars.className = "later-stars";
+      stars.textContent = "★".repeat(rating.stars) + "☆".repeat(5 - rating.stars);
+      const height = document.createElement("div");
+      height.textContent = h ? formatRange("height", h.low, h.high, units) : fmtHeight(null);
+      const wind = document.createElement("div");
+      wind.className = "meta-sub";
+      wind.textContent = hour.windKts
+        ? `${fmtSpeed(hour.windKts.value, 0)}${hour.windDirDeg != null ? ` ${degToCompass(hour.windDirDeg)}` : ""}`
+        : "";
+
+      cell.title = [
+        `${rating.text}`,
+        h ? `Buoy ${fmtHeight(h.value)} (${formatRange("height", h.low, h.high, units)})` : null,
+        hour.periodSec ? `Period ${hour.periodSec.value.toFixed(0)} s` : null,
+        hour.windKts ? `Wind ${formatRange("speed", hour.windKts.low, hour.windKts.high, units, 0)}${hour.windClass ? `, ${hour.windClass}` : ""}` : null,
+        hour.tide ? `Tide ${hour.tide.stage}, ${hour.tide.state}` : null
+      ].filter(Boolean).join("\n");
+
+      cell.append(time, stars, height, wind);
+      strip.appendChild(cell);
+    });
+
+    const note = byId("later-note");
+    if (note) {
+      note.textContent = `Buoy height and wind extrapolated from the last 12 h and typical ${data.nowcast.diurnalSource === "station" ? "local " : ""}winds; ranges are 80% bands.`;
+    }
+  }
+
+  // "Best time to go": the API's best daylight window today and tomorrow.
+  // Windows (or whole days) already past are dropped, since the response may
+  // be cached or saved offline.
+  function formatSessions(sessions) {
+    const now = Date.now();
+    const parts = (sessions || [])
+      .filter(s => !s.civilDusk || Date.parse(s.civilDusk) > now)
+      .map(s => {
+        const day = s.day === "today" ? "Today" : "Tomorrow";
+        const best = s.best;
+        if (!best || Date.parse(best.end) <= now) return `${day}: ${(s.note || "nothing worth it").toLowerCase()}`;
+        const start = Math.max(Date.parse(best.start), now);
+        const stars = "★".repeat(best.stars);
+        const guess = best.confidence === "low" ? ", rough guess" : "";
+        return `${day} ${formatClock(new Date(start).toISOString())}–${formatClock(best.end)} ${stars} ${best.text}` +
+          (best.summary || guess ? ` (${best.summary}${guess})` : "");
+      });
+    return parts.length > 0 ? parts.join("<br>") : null;
+  }
+
+  function formatDaylight(sessions) {
+    const today = (sessions || []).find(s => s.day === "today");
+    if (!today || !today.sunrise) return null;
+    return `Sunrise ${formatClock(today.sunrise)} · Sunset ${formatClock(today.sunset)} (first light ${formatClock(today.civilDawn)})`;
+  }
+
+  // "bigger than 85% of October days" from a climatology percentile
+  function percentileText(percentile, more, less, monthName) {
+    if (percentile == null) return null;
+    if (percentile >= 100 || percentile <= 0) {
+      return `${percentile >= 100 ? more : less} than any ${monthName} day on record`;
+    }
+    return percentile >= 50
+      ? `${more} than ${percentile}% of ${monthName} days`
+      : `${less} than ${100 - percentile}% of ${monthName} days`;
+  }
+
+  // How the reading compares with the station's history: { waves, period, water, years }
+  function formatClimate(climate) {
+    if (!climate) return {};
+    const { monthName, waveHeight, period, waterTemp, years } = climate;
+    let water = null;
+    if (waterTemp && waterTemp.diffF != null) {
+      const diff = convertDelta("temp", Math.abs(waterTemp.diffF), units);
+      water = diff < 0.5
+        ? `water about normal for ${monthName}`
+        : `water ${diff.toFixed(0)}${unitLabel("temp", units)} ${waterTemp.diffF > 0 ? "warmer" : "colder"} than normal`;
+    }
+    return {
+      waves: waveHeight && percentileText(waveHeight.percentile, "bigger", "smaller", monthName),
+      period: period && percentileText(period.percentile, "longer period", "shorter period", monthName),
+      water,
+      years: years && years.from ? (years.from === years.to ? `${years.from}` : `${years.from}–${years.to}`) : null,
+    };
+  }
+
+  // "Air 62°F · feels like 55°F"; the wind chill only when it makes a difference
+  function formatAir(data) {
+    if (data.airTempF == null) return null;
+    const feels = data.feelsLikeF;
+    return feels != null && data.airTempF - feels >= 1
+      ? `Air ${fmtTemp(data.airTempF, 0)} · feels like ${fmtTemp(feels, 0)}`
+      : `Air ${fmtTemp(data.airTempF, 0)}`;
+  }
+
+  const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+  const TENDENCY_ARROWS = { rising: "↑", falling: "↓", steady: "→" };
+
+  // "1012.4 hPa ↓" from the API's weather block (or the bare reading)
+  function formatPressure(data) {
+    const pressure = data.weather && data.weather.pressure;
+    const hpa = pressure ? pressure.hpa : data.barometricPressureHpa;
+    if (hpa == null) return null;
+    return pressure ? `${hpa.toFixed(1)} hPa ${TENDENCY_ARROWS[pressure.tendency]}` : `${hpa.toFixed(1)} hPa`;
+  }
+
+  // "Front approaching (likely): pressure falling quickly, wind up 12 kts"
+  function formatWeatherEvents(weather) {
+    if (!weather || !weather.events || weather.events.length === 0) return null;
+    return weather.events
+      .map(e => `${e.text}${e.confidence === "possible" ? " (possible)" : ""}: ${e.reasons.join(", ")}`)
+      .join(" · ");
+  }
+
+  // Fill the card and Quick Read table from an API response
+  function renderConditions(data, profile, station) {
+    const waveFt = data.waveHeightFt;
+    const period = data.dominantPeriodSec ?? data.averagePeriodSec;
+    const swellDirDeg = data.swellDirDeg;
+    const windKts = data.windKts;
+    const windDirDeg = data.windDirDeg;
+    const waterF = data.waterTempF;
+
+    // Check if data is stale (old reading, or the API fell back on its cache)
+    const stale = data.stale || isDataStale(data.updatedIso);
+    if (stale) {
+      console.warn("Data is more than 1 hour old");
+    }
+
+    // Estimated breaking face height at the spot; the ±20% band around the buoy
+    // reading is only a fallback when the model has no period to work with
+    const surf = data.surfHeight || surfHeightFromResponse(data, station);
+    let heightText = fmtHeight(null);
+    let heightLabel = "Significant surf (NOAA buoy)";
+    let methodText = "";
+    if (surf) {
+      heightText = formatRange("height", surf.minFt, surf.maxFt, units);
+      heightLabel = "Est. surf at the break";
+      methodText = `Buoy ${fmtHeight(waveFt)} · ${surf.method}`;
+    } else if (waveFt != null) {
+      heightText = formatRange("height", Math.max(0, waveFt * 0.8), waveFt * 1.2, units);
+      methodText = "Buoy height ±20%";
+    }
+    const heightEl = byId("surf-height");
+    if (heightEl) heightEl.textContent = heightText;
+    markQc(heightEl, data, ["waveHeightFt"]);
+    const heightLabelEl = byId("surf-height-label");
+    if (heightLabelEl) heightLabelEl.textContent = heightLabel;
+    const methodEl = byId("surf-height-method");
+    if (methodEl) methodEl.textContent = methodText;
+    const climate = formatClimate(data.climatology);
+    const climateTitle = climate.years ? `Compared with NDBC records ${climate.years}` : "";
+    const heightClimateEl = byId("surf-height-climate");
+    if (heightClimateEl) {
+      heightClimateEl.textContent = climate.waves ? `Buoy height ${climate.waves}` : "";
+      heightClimateEl.title = climateTitle;
+    }
+
+    // Rating (the API scores it; fall back to scoring locally with the same profile)
+    const waves = { swell: data.swell, windWave: data.windWave };
+    const tide = data.tide;
+    const rating = data.rating || computeRating(conditionsFromResponse(data), profile, station);
+    setStars(rating.stars);
+    const qualityEl = byId("surf-quality-text");
+    if (qualityEl) qualityEl.textContent = rating.text;
+    renderRatingBreakdown(rating);
+    renderLaterToday(data, profile, station);
+
+    // Swell / period
+    const swellStr =
+      waveFt != null && period != null
+        ? `${fmtHeight(waveFt)} @ ${period.toFixed(0)} s`
+        : `${fmtHeight(null)} @ -- s`;
+    const swellEl = byId("meta-swell");
+    if (swellEl) swellEl.textContent = swellStr;
+    markQc(swellEl, data, ["waveHeightFt", "dominantPeriodSec", "averagePeriodSec"]);
+
+    // Swell direction
+    const swellDirTxt = swellDirDeg != null && swellDirDeg !== undefined ? degToCompass(swellDirDeg) : "---";
+    const swellDirEl = byId("meta-swell-dir");
+    if (swellDirEl) {
+      swellDirEl.textContent = swellDirTxt;
+      markQc(swellDirEl, data, ["swellDirDeg"]);
+    } else {
+      console.error("Swell direction element not found!");
+    }
+
+    // Wind
+    const windDirTxt = windDirDeg != null ? degToCompass(windDirDeg) : "---";
+    const windStr =
+      windKts != null
+        ? `${fmtSpeed(windKts)} (${windDirTxt})`
+        : fmtSpeed(null);
+    const windEl = byId("meta-wind");
+    if (windEl) windEl.textContent = windStr;
+    markQc(windEl, data, ["windKts", "windDirDeg"]);
+
+    // Wind relative to the beach, plus gusts
+    const windClass = data.windClass ?? classifyWind(windDirDeg, station.beachFacingDeg);
+    const gusty = isGusty(windKts, data.windGustKts);
+    const gustText = data.windGustKts != null ? `gusts ${fmtSpeed(data.windGustKts, 0)}` : "";
+    const windDetail = [windClass, gustText].filter(Boolean).join(" · ");
+    const windSubEl = byId("meta-wind-sub");
+    if (windSubEl) {
+      windSubEl.textContent = windDetail;
+      windSubEl.classList.toggle("meta-warn", gusty);
+      markQc(windSubEl, data, ["windGustKts"]);
+    }
+
+    // Water temperature
+    const waterEl = byId("meta-water");
+    if (waterEl) {
+      const waterText = fmtTemp(waterF);
+      waterEl.textContent = waterText;
+      markQc(waterEl, data, ["waterTempF"]);
+    } else {
+      console.error("Water temperature element not found!");
+    }
+    // Wetsuit (the API recommends one; older responses get the same rule locally)
+    const comfort = data.comfort !== undefined ? data.comfort : comfortFromResponse(data);
+    const airText = formatAir(data);
+    const wetsuitEl = byId("meta-wetsuit");
+    if (wetsuitEl) wetsuitEl.textContent = comfort ? capitalize(comfort.text) : "--";
+    const airEl = byId("meta-air");
+    if (airEl) {
+      airEl.textContent = airText || "";
+      markQc(airEl, data, ["airTempF"]);
+    }
+
+    // Pressure and its 3-hour tendency; fronts and Santa Anas get a note up top
+    const pressure = data.weather && data.weather.pressure;
+    const pressureText = formatPressure(data);
+    const weatherText = formatWeatherEvents(data.weather);
+    const pressureEl = byId("meta-pressure");
+    if (pressureEl) {
+      pressureEl.textContent = pressureText || "-- hPa";
+      markQc(pressureEl, data, ["barometricPressureHpa"]);
+    }
+    const pressureSubEl = byId("meta-pressure-sub");
+    if (pressureSubEl) pressureSubEl.textContent = pressure ? pressure.text : "";
+    const weatherEl = byId("weather-note");
+    if (weatherEl) {
+      weatherEl.textContent = weatherText || "";
+      weatherEl.style.display = weatherText ? "" : "none";
+    }
+
+    const waterSubEl = byId("meta-water-sub");
+    if (waterSubEl) {
+      waterSubEl.textContent = climate.water ? climate.water.replace(/^water /, "") : "";
+      waterSubEl.title = climateTitle;
+    }
+
+    // Tide
+    const tideEl = byId("meta-tide");
+    if (tideEl) tideEl.textContent = formatTideNow(tide);
+    const tideNextEl = byId("meta-tide-next");
+    if (tideNextEl) {
+      const nextEvent = tide
+        ? [tide.nextHigh, tide.nextLow].filter(Boolean).sort((a, b) => Date.parse(a.time) - Date.parse(b.time))[0]
+        : null;
+      tideNextEl.textContent = nextEvent ? `Next: ${formatTideEvent(nextEvent)}` : "";
+    }
+
+    // Header
+    const statusEl = byId("header-status");
+    const timeEl = byId("header-time");
+    if (statusEl) {
+      statusEl.textContent = stale ? "Buoy conditions (stale)" : "Buoy conditions";
+    }
+    if (timeEl) {
+      const relativeTime = formatRelativeTime(data.updatedIso);
+      timeEl.textContent = `Updated ${relativeTime}`;
+      timeEl.title = formatTime(data.updatedIso); // Full time on hover
+    }
+
+    // Footer: which buoys this reading came from
+    const sourceEl = byId("footer-source");
+    if (sourceEl) {
+      sourceEl.textContent = formatSources(data, station);
+      sourceEl.title = Object.entries(data.fieldSources || {})
+        .map(([field, source]) => `${field}: ${SOURCE_NAMES[source] || source}`)
+        .join("\n");
+    }
+
+    // Quick read table
+    const tbody = byId("quick-table-body");
+    if (tbody) {
+      tbody.innerHTML = "";
+
+      const desc = describeFromBuoy({
+        heightFt: waveFt,
+        periodSec: period,
+        windKts,
+        swellDirDeg,
+        ...waves,
+        swellWindow: swellWindowOf(profile, station),
+        windClass,
+        gusty
+      }, fmtHeight);
+      const waterText = fmtTemp(waterF);
+      const swellDirText = swellDirDeg != null ? degToCompass(swellDirDeg) : "---";
+      const bestTime = formatSessions(data.sessions);
+      const daylight = formatDaylight(data.sessions);
+      const history = [climate.waves, climate.period, climate.water].filter(Boolean).join(", ");
+      const rows = [
+        ["Overall", desc],
+        ...(bestTime ? [["Best time to go", bestTime]] : []),
+        ...(daylight ? [["Daylight", daylight]] : []),
+        ...(surf ? [["Est. surf", `${formatRange("height", surf.minFt, surf.maxFt, units)} (${surf.method})`]] : []),
+        ["Buoy height", swellStr + qcNote(data, ["waveHeightFt", "dominantPeriodSec", "averagePeriodSec"])],
+        ...(data.swell ? [["Swell", formatComponent(data.swell)]] : []),
+        ...(data.windWave ? [["Wind waves", formatComponent(data.windWave)]] : []),
+        ["Swell direction", swellDirText + qcNote(data, ["swellDirDeg"])],
+        ["Wind", (windDetail ? `${windStr}, ${windDetail}` : windStr) + qcNote(data, ["windKts", "windDirDeg", "windGustKts"])],
+        ["Water", waterText + qcNote(data, ["waterTempF"])],
+        ...(history ? [["Vs. history", `${capitalize(history)} (${climate.years})`]] : []),
+        ...(airText ? [["Air", airText.replace(/^Air /, "") + qcNote(data, ["airTempF"])]] : []),
+        ...(comfort ? [["Wetsuit", capitalize(comfort.text)]] : []),
+        ...(pressureText ? [["Pressure", (pressure ? `${pressureText}, ${pressure.text.charAt(0).toLowerCase()}${pressure.text.slice(1)}` : pressureText) + qcNote(data, ["barometricPressureHpa"])]] : []),
+        ...(weatherText ? [["Weather", weatherText]] : []),
+        ...(tide ? [["Tide", `${formatTideNow(tide)} (${tide.stage} tide)`]] : []),
+        ...(tide && tide.nextHigh ? [["Next high", formatTideEvent(tide.nextHigh)]] : []),
+        ...(tide && tide.nextLow ? [["Next low", formatTideEvent(tide.nextLow)]] : [])
+      ];
+
+      rows.forEach(([label, val]) => {
+        const tr = document.createElement("tr");
+        tr.innerHTML = `<td>${label}</td><td>${val}</td>`;
+        tbody.appendChild(tr);
+      });
+    }
+  }
+
+  async function loadBuoy(showLoading = true) {
+    if (showLoading) {
+      clearError();
+      setLoading(true);
+      const statusEl = byId("header-status");
+      const timeEl = byId("header-time");
+      if (statusEl) statusEl.textContent = "Loading...";
+      if (timeEl) timeEl.textContent = "Requesting buoy data";
+    }
+
+    const station = currentStation;
+    try {
+      const [data, profile] = await Promise.all([
+        fetchWithRetry(apiEndpoint()),
+        loadProfile(station).catch(err => {
+          console.warn("Could not load rating profile:", err);
+          return null;
+        })
+      ]);
+
+      if (data.error) {
+        throw new Error(data.error);
+      }
+
+      // The user switched stations while this request was in flight
+      if (station !== currentStation) return false;
+
+      lastConditions = { data, profile, station };
+      renderConditions(data, profile, station);
+      clearOffline();
+      saveConditions(station.id, data);
+
+      setLoading(false);
+      emit("surf:update", { station: station.id, data, stale: isDataStale(data.updatedIso) });
+
+      // Trends load separately so a slow history request never blocks the card
+      loadTrends();
+
+      return true; // Success
+
+    } catch (err) {
+      if (station !== currentStation) return false;
+      console.error("Error loading buoy data:", err);
+      setLoading(false);
+      emit("surf:error", { station: station.id, error: err });
+
+      // A patchy connection fails the request while the browser still reports
+      // being online, so fall back to the last saved conditions here too
+      if (!(await showSavedConditions("unreachable"))) {
+        setError(`Could not load ${currentStation.name} buoy data from NOAA. Check later or refresh.`);
+        const statusEl = byId("header-status");
+        const timeEl = byId("header-time");
+        if (statusEl) statusEl.textContent = "Error";
+        if (timeEl) timeEl.textContent = "No recent buoy data";
+      }
+      throw err; // Re-throw so caller can handle
+    }
+  }
+
+  // Without a connection, show the last response saved for this station
+  // (see lib/offlineStore.js), marked with its age. `reason` is "offline" or
+  // "unreachable". Returns false when nothing was saved.
+  async function showSavedConditions(reason) {
+    const station = currentStation;
+    const [saved, profile] = await Promise.all([
+      loadConditions(station.id),
+      loadProfile(station).catch(() => null)
+    ]);
+    if (!saved || station !== currentStation) return false;
+
+    lastConditions = { data: saved.data, profile, station, offline: { reason, savedAt: saved.savedAt } };
+    renderConditions(saved.data, profile, station);
+    markOffline(lastConditions);
+    clearError();
+    if (!trendHistory) showSavedTrends();
+    return true;
+  }
+
+  function ageText(iso) {
+    const rel = formatRelativeTime(iso);
+    return rel === "Just now" ? "just now" : rel;
+  }
+
+  // Flag saved conditions in the header and the offline note
+  function markOffline({ data, offline }) {
+    const card = root.querySelector(".surf-card");
+    const note = byId("offline-note");
+    const statusEl = byId("header-status");
+    if (card) card.classList.add("offline");
+    if (statusEl) statusEl.textContent = offline.reason === "offline" ? "Offline" : "Last known conditions";
+    if (note) {
+      const prefix = offline.reason === "offline" ? "You're offline." : "Couldn't reach NOAA.";
+      note.textContent = `${prefix} Showing conditions saved ${ageText(offline.savedAt)}; buoy reading from ${ageText(data.updatedIso)}.`;
+    }
+  }
+
+  function clearOffline() {
+    const card = root.querySelector(".surf-card");
+    const note = byId("offline-note");
+    if (card) card.classList.remove("offline");
+    if (note) note.textContent = "";
+  }
+
+  // Footer attribution: every source the response used, e.g.
+  // "Live data from NOAA NDBC LJPC1 and CDIP 201 – Scripps Pier."
+  const SOURCE_NAMES = { ndbc: "NOAA NDBC", cdip: "CDIP" };
+
+  function formatSources(data, station) {
+    const used = Object.entries((data && data.sources) || {})
+      .filter(([, s]) => s.status === "ok" || s.status === "stale")
+      .map(([name, s]) => `${SOURCE_NAMES[name] || name.toUpperCase()} ${s.id}`);
+    const list = used.length > 0 ? used.join(" and ") : `NOAA NDBC ${station.ndbcId}`;
+    return `Live data from ${list} – ${station.name}.`;
+  }
+
+  // Station labels in the header and footer
+  function applyStationLabels() {
+    const station = currentStation;
+    const titleEl = byId("station-title");
+    const subEl = byId("station-sub");
+    const sourceEl = byId("footer-source");
+    const select = byId("station-select");
+    if (titleEl) titleEl.textContent = station.name;
+    if (subEl) subEl.textContent = `${station.location} (${station.ndbcId})`;
+    if (sourceEl) sourceEl.textContent = formatSources(null, station);
+    if (select) select.value = station.id;
+  }
+
+  // Station picker: fill the <select> from the registry and reload on change
+  function setupStationPicker() {
+    const select = byId("station-select");
+    if (!select) return;
+
+    select.innerHTML = "";
+    Object.values(STATIONS).forEach(station => {
+      const opt = document.createElement("option");
+      opt.value = station.id;
+      opt.textContent = stationDisplayName(station);
+      select.appendChild(opt);
+    });
+    select.value = currentStation.id;
+
+    select.addEventListener("change", () => {
+      if (setStation(select.value) && options.onStationChange) {
+        options.onStationChange(currentStation);
+      }
+    });
+  }
+
+  // Re-render the card and trends in the current units
+  function syncUnits() {
+    const systemSelect = byId("units-select");
+    const speedSelect = byId("speed-select");
+    if (systemSelect) systemSelect.value = units.system;
+    if (speedSelect) speedSelect.value = units.speed;
+    if (lastConditions) {
+      renderConditions(lastConditions.data, lastConditions.profile, lastConditions.station);
+      if (lastConditions.offline) markOffline(lastConditions);
+    }
+    renderTrends();
+  }
+
+  // Unit pickers: a preset (imperial / metric / mixed) plus a wind speed override
+  function setupUnitPicker() {
+    const systemSelect = byId("units-select");
+    const speedSelect = byId("speed-select");
+    if (!systemSelect || !speedSelect) return;
+
+    systemSelect.innerHTML = "";
+    Object.entries(UNIT_PRESETS).forEach(([name, preset]) => {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = `${name[0].toUpperCase()}${name.slice(1)} (${UNIT_LABELS[preset.height]}, ${UNIT_LABELS[preset.temp]})`;
+      systemSelect.appendChild(opt);
+    });
+
+    speedSelect.innerHTML = "";
+    UNIT_OPTIONS.speed.forEach(unit => {
+      const opt = document.createElement("option");
+      opt.value = unit;
+      opt.textContent = UNIT_LABELS[unit];
+      speedSelect.appendChild(opt);
+    });
+
+    systemSelect.value = units.system;
+    speedSelect.value = units.speed;
+
+    const apply = (next) => {
+      units = resolveUnits(next);
+      if (persistUnits) saveUnitPreference(units);
+      syncUnits();
+    };
+
+    // Switching preset resets wind speed to the preset's; the speed picker overrides it
+    systemSelect.addEventListener("change", () => apply({ system: systemSelect.value }));
+    speedSelect.addEventListener("change", () => apply({ ...units, speed: speedSelect.value }));
+  }
+
+  // Refresh button handler
+  function setupRefreshButton() {
+    const refreshBtn = byId("refresh-btn");
+    if (refreshBtn) {
+      refreshBtn.addEventListener("click", () => {
+        refreshBtn.disabled = true;
+        refreshBtn.classList.add("spinning");
+        loadBuoy(true).catch(() => {}).finally(() => {
+          refreshBtn.disabled = false;
+          refreshBtn.classList.remove("spinning");
+        });
+      });
+    }
+  }
+
+  // Check online status
+  function checkOnlineStatus() {
+    if (!navigator.onLine) {
+      const statusEl = byId("header-status");
+      if (statusEl) statusEl.textContent = "Offline";
+      showSavedConditions("offline").then(shown => {
+        if (!shown) setError("You are currently offline. Please check your internet connection.");
+      });
+      return false;
+    }
+    return true;
+  }
+
+  function handleOnline() {
+    clearError();
+    loadBuoy(true).catch(() => {});
+  }
+
+  function handleOffline() {
+    checkOnlineStatus();
+  }
+
+  // Wire up the card, load and start auto-refresh. Safe to call again after stop().
+  function start() {
+    if (started) return;
+    started = true;
+
+    if (!wired) {
+      wired = true;
+      applyStationLabels();
+      setupStationPicker();
+      setupUnitPicker();
+      setupRefreshButton();
+      setupTrendRange();
+    }
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+
+    // Initial load
+    if (checkOnlineStatus()) {
+      loadBuoy(true).catch(() => {});
+    }
+
+    // Auto-refresh
+    refreshTimer = setInterval(() => {
+      if (checkOnlineStatus()) {
+        loadBuoy(false).catch(() => {}); // Don't show loading state on auto-refresh
+      }
+    }, REFRESH_INTERVAL);
+  }
+
+  function stop() {
+    if (!started) return;
+    started = false;
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    window.removeEventListener("online", handleOnline);
+    window.removeEventListener("offline", handleOffline);
+  }
+
+  // Reload from scratch after the station or endpoint changed
+  function reset() {
+    trendHistory = null;
+    lastConditions = null;
+    clearOffline();
+    applyStationLabels();
+    if (started) loadBuoy(true).catch(() => {});
+  }
+
+  // Switch station by slug. Returns false when it's unknown or already shown.
+  function setStation(slug) {
+    const station = getStation(slug) || (slug == null ? STATIONS[DEFAULT_STATION] : null);
+    if (!station || station === currentStation) return false;
+    currentStation = station;
+    reset();
+    return true;
+  }
+
+  // `next` is a preset name or preference; null goes back to the visitor's saved choice.
+  function setUnits(next) {
+    persistUnits = next == null;
+    units = persistUnits ? loadUnitPreference() : toUnits(next);
+    syncUnits();
+  }
+
+  function setEndpoint(next) {
+    const value = next || DEFAULT_API_BASE;
+    if (value === endpoint) return;
+    endpoint = value;
+    reset();
+  }
+
+  function setCompact(on) {
+    compact = Boolean(on);
+    if (!compact && started && lastConditions && !trendHistory) loadTrends();
+  }
+
+  return {
+    start,
+    stop,
+    refresh: () => loadBuoy(true),
+    setStation,
+    setUnits,
+    setEndpoint,
+    setCompact,
+    get station() { return currentStation; },
+    get data() { return lastConditions ? lastConditions.data : null; }
+  };
+}